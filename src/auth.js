@@ -91,20 +91,24 @@ function requireApiKey(config) {
     const auth = req.headers['authorization'];
     if (!auth) {
       return res.status(401).json({
+        type: 'error',
         error: {
           type: 'authentication_error',
           message: 'Missing API key'
-        }
+        },
+        request_id: res.getHeader('request-id')
       });
     }
     
     const apiKey = auth.replace('Bearer ', '');
     if (apiKey !== config.localApiKey) {
       return res.status(401).json({
+        type: 'error',
         error: {
           type: 'authentication_error',
           message: 'Invalid API key'
-        }
+        },
+        request_id: res.getHeader('request-id')
       });
     }
     
@@ -0,0 +1,352 @@
+/**
+ * Message Batches Module
+ * Emulates the Anthropic Message Batches API on top of the regular
+ * Claude → Gemini pipeline
+ *
+ * Storage layout (under data/batches/):
+ * - <id>.json           batch metadata and the submitted requests
+ * - <id>.results.jsonl  one result line per finished request, appended as
+ *                       items complete so a restart resumes where it stopped
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const BATCH_DIR = path.join(__dirname, '../data/batches');
+const MAX_REQUESTS = 100000;
+const EXPIRY_MS = 24 * 60 * 60 * 1000;          // Unprocessed items expire after 24 hours
+const RETENTION_MS = 29 * 24 * 60 * 60 * 1000;  // Results are kept for 29 days
+const CUSTOM_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Create an error that the routes report with the given status and type
+ */
+function batchError(statusCode, type, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.type = type;
+  return error;
+}
+
+function generateBatchId() {
+  return 'msgbatch_' + crypto.randomBytes(16).toString('hex');
+}
+
+class BatchManager {
+  /**
+   * @param {Object} options
+   * @param {Function} options.execute - async (params) => Claude message; throws
+   *   errors with statusCode/type for failed requests
+   * @param {Object} options.queue - RequestQueue used to schedule items
+   * @param {string} options.dir - Storage directory (defaults to data/batches)
+   */
+  constructor({ execute, queue, dir = BATCH_DIR }) {
+    this.execute = execute;
+    this.queue = queue;
+    this.dir = dir;
+    this.batches = new Map();
+    this.running = new Set();
+  }
+
+  _metaFile(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  _resultsFile(id) {
+    return path.join(this.dir, `${id}.results.jsonl`);
+  }
+
+  // Save batch metadata atomically using temp file + rename
+  _save(batch) {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+    const tempFile = this._metaFile(batch.id) + '.tmp';
+    fs.writeFileSync(tempFile, JSON.stringify(batch), 'utf8');
+    fs.renameSync(tempFile, this._metaFile(batch.id));
+  }
+
+  // Read result lines, skipping a partially written last line
+  _readResults(id) {
+    const file = this._resultsFile(id);
+    if (!fs.existsSync(file)) return [];
+
+    return fs.readFileSync(file, 'utf8').split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Recompute request_counts from the results file
+   * Results are appended before the metadata is saved, so after a crash
+   * between the two the results file is the authoritative record.
+   * @returns {boolean} true if the stored counts were off
+   */
+  _recount(batch) {
+    const counts = { processing: batch.requests.length, succeeded: 0, errored: 0, canceled: 0, expired: 0 };
+    const counted = new Set();
+
+    for (const { custom_id, result } of this._readResults(batch.id)) {
+      if (counted.has(custom_id) || !['succeeded', 'errored', 'canceled', 'expired'].includes(result?.type)) continue;
+      counted.add(custom_id);
+      counts.processing--;
+      counts[result.type]++;
+    }
+
+    const changed = JSON.stringify(counts) !== JSON.stringify(batch.request_counts);
+    batch.request_counts = counts;
+    return changed;
+  }
+
+  _appendResult(batch, customId, result) {
+    fs.appendFileSync(this._resultsFile(batch.id), JSON.stringify({ custom_id: customId, result }) + '\n', 'utf8');
+    batch.request_counts.processing--;
+    batch.request_counts[result.type]++;
+  }
+
+  /**
+   * Load persisted batches, remove expired ones and resume unfinished work
+   */
+  load() {
+    if (!fs.existsSync(this.dir)) return;
+
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+
+      try {
+        const batch = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+
+        if (Date.now() - Date.parse(batch.created_at) > RETENTION_MS) {
+          this._remove(batch.id);
+          continue;
+        }
+
+        if (this._recount(batch)) {
+          console.warn(`⚠️ 批处理计数与结果文件不一致，已按结果重新统计: ${batch.id}`);
+          this._save(batch);
+        }
+
+        this.batches.set(batch.id, batch);
+        if (batch.processing_status !== 'ended') {
+          console.log(`🔁 恢复批处理: ${batch.id} (${batch.request_counts.processing} 个待处理)`);
+          this._process(batch);
+        }
+      } catch (error) {
+        console.error(`❌ 读取批处理失败: ${file}`, error.message);
+      }
+    }
+
+    console.log(`📦 已加载 ${this.batches.size} 个批处理`);
+  }
+
+  /**
+   * Create a batch and start processing it in the background
+   * @param {Array} requests - [{ custom_id, params }]
+   * @returns {Object} Batch object
+   */
+  create(requests) {
+    if (!Array.isArray(requests) || requests.length === 0) {
+      throw batchError(400, 'invalid_request_error', 'requests must be a non-empty array');
+    }
+    if (requests.length > MAX_REQUESTS) {
+      throw batchError(400, 'invalid_request_error', `A batch may contain at most ${MAX_REQUESTS} requests`);
+    }
+
+    const seen = new Set();
+    for (const [index, request] of requests.entries()) {
+      if (!CUSTOM_ID_PATTERN.test(request?.custom_id || '')) {
+        throw batchError(400, 'invalid_request_error', `requests.${index}.custom_id must match ${CUSTOM_ID_PATTERN}`);
+      }
+      if (seen.has(request.custom_id)) {
+        throw batchError(400, 'invalid_request_error', `Duplicate custom_id: ${request.custom_id}`);
+      }
+      seen.add(request.custom_id);
+
+      if (!request.params || !Array.isArray(request.params.messages)) {
+        throw batchError(400, 'invalid_request_error', `requests.${index}.params.messages is required`);
+      }
+      if (request.params.stream) {
+        throw batchError(400, 'invalid_request_error', `requests.${index}.params.stream is not supported in batches`);
+      }
+    }
+
+    const now = new Date();
+    const batch = {
+      id: generateBatchId(),
+      type: 'message_batch',
+      processing_status: 'in_progress',
+      request_counts: {
+        processing: requests.length,
+        succeeded: 0,
+        errored: 0,
+        canceled: 0,
+        expired: 0
+      },
+      ended_at: null,
+      created_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + EXPIRY_MS).toISOString(),
+      cancel_initiated_at: null,
+      archived_at: null,
+      requests: requests.map(({ custom_id, params }) => ({ custom_id, params }))
+    };
+
+    this._save(batch);
+    this.batches.set(batch.id, batch);
+    console.log(`📦 创建批处理: ${batch.id} (${requests.length} 个请求)`);
+
+    this._process(batch);
+    return batch;
+  }
+
+  /**
+   * Process the remaining items of a batch one at a time
+   */
+  async _process(batch) {
+    if (this.running.has(batch.id)) return;
+    this.running.add(batch.id);
+
+    try {
+      const done = new Set(this._readResults(batch.id).map(line => line.custom_id));
+
+      for (const { custom_id, params } of batch.requests) {
+        if (done.has(custom_id)) continue;
+
+        if (batch.processing_status === 'canceling') {
+          this._appendResult(batch, custom_id, { type: 'canceled' });
+          continue;
+        }
+        if (Date.now() > Date.parse(batch.expires_at)) {
+          this._appendResult(batch, custom_id, { type: 'expired' });
+          continue;
+        }
+
+        const result = await this.queue.add(async () => {
+          try {
+            const message = await this.execute({ ...params, stream: false });
+            return { type: 'succeeded', message };
+          } catch (error) {
+            return {
+              type: 'errored',
+              error: {
+                type: 'error',
+                error: { type: error.type || 'api_error', message: error.message }
+              }
+            };
+          }
+        }, { priority: 'low' });
+
+        this._appendResult(batch, custom_id, result);
+        this._save(batch);
+      }
+
+      batch.processing_status = 'ended';
+      batch.ended_at = new Date().toISOString();
+      this._save(batch);
+      console.log(`✅ 批处理完成: ${batch.id} ${JSON.stringify(batch.request_counts)}`);
+    } catch (error) {
+      console.error(`❌ 批处理中断: ${batch.id}`, error);
+    } finally {
+      this.running.delete(batch.id);
+    }
+  }
+
+  /**
+   * Get a batch, without its requests
+   * @throws {Error} 404 if the batch does not exist
+   */
+  get(id) {
+    const batch = this.batches.get(id);
+    if (!batch) {
+      throw batchError(404, 'not_found_error', `Batch not found: ${id}`);
+    }
+    const { requests, ...summary } = batch;
+    return summary;
+  }
+
+  /**
+   * List batches, most recently created first
+   * @param {Object} options - { limit, before_id, after_id }
+   */
+  list({ limit = 20, before_id, after_id } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 1000);
+    let batches = Array.from(this.batches.values())
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+    if (after_id) {
+      const index = batches.findIndex(batch => batch.id === after_id);
+      batches = index === -1 ? [] : batches.slice(index + 1);
+    } else if (before_id) {
+      const index = batches.findIndex(batch => batch.id === before_id);
+      batches = index === -1 ? [] : batches.slice(Math.max(0, index - pageSize), index);
+    }
+
+    const page = batches.slice(0, pageSize).map(batch => this.get(batch.id));
+    return {
+      data: page,
+      has_more: batches.length > pageSize,
+      first_id: page[0]?.id || null,
+      last_id: page[page.length - 1]?.id || null
+    };
+  }
+
+  /**
+   * Request cancellation; unprocessed items are marked canceled
+   */
+  cancel(id) {
+    const batch = this.batches.get(id);
+    if (!batch) {
+      throw batchError(404, 'not_found_error', `Batch not found: ${id}`);
+    }
+
+    if (batch.processing_status === 'in_progress') {
+      batch.processing_status = 'canceling';
+      batch.cancel_initiated_at = new Date().toISOString();
+      this._save(batch);
+      console.log(`🛑 取消批处理: ${batch.id}`);
+    }
+    return this.get(id);
+  }
+
+  /**
+   * Get the JSONL results of an ended batch
+   * @throws {Error} 400 while the batch is still processing
+   */
+  results(id) {
+    const batch = this.get(id);
+    if (batch.processing_status !== 'ended') {
+      throw batchError(400, 'invalid_request_error', `Batch ${id} is still processing`);
+    }
+    return this._readResults(id).map(line => JSON.stringify(line)).join('\n') + '\n';
+  }
+
+  /**
+   * Delete an ended batch and its results
+   */
+  delete(id) {
+    const batch = this.get(id);
+    if (batch.processing_status !== 'ended') {
+      throw batchError(400, 'invalid_request_error', `Batch ${id} must be ended before it can be deleted`);
+    }
+    this._remove(id);
+    return { id, type: 'message_batch_deleted' };
+  }
+
+  _remove(id) {
+    this.batches.delete(id);
+    for (const file of [this._metaFile(id), this._resultsFile(id)]) {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    }
+  }
+}
+
+module.exports = { BatchManager };
@@ -9,6 +9,92 @@ const crypto = require('crypto');
 
 const CONFIG_FILE = path.join(__dirname, '../data/config.json');
 
+// Default Claude → Gemini model aliases (glob patterns, first match wins)
+const DEFAULT_MODEL_ALIASES = [
+  { pattern: 'claude-*haiku*', model: 'gemini-2.5-flash' },
+  { pattern: 'claude-*sonnet*', model: 'gemini-2.5-pro' },
+  { pattern: 'claude-*opus*', model: 'gemini-2.5-pro' }
+];
+
+// Default fallback chains, tried when a model is overloaded or out of quota
+const DEFAULT_MODEL_FALLBACKS = [
+  { model: 'gemini-2.5-pro', fallbacks: ['gemini-2.5-flash', 'gemini-2.5-flash-lite'] }
+];
+
+// Transports supported for MCP servers
+const MCP_TRANSPORTS = ['websocket', 'stdio', 'http', 'sse'];
+
+/**
+ * Normalize a routing rule; returns null for rules without a valid match
+ * @param {Object} rule - { name, match: { type, model, contains, hasTools }, model, maxTokens, temperature, cache }
+ * @param {number} index - Position in the list, used for the default name
+ */
+function normalizeRoutingRule(rule, index) {
+  if (!rule || typeof rule !== 'object') return null;
+
+  const match = {};
+  const types = [].concat(rule.match?.type || [])
+    .map(type => String(type).trim().toUpperCase())
+    .filter(Boolean);
+  if (types.length > 0) match.type = types;
+  if (rule.match?.model) match.model = String(rule.match.model).trim();
+  if (rule.match?.contains) match.contains = String(rule.match.contains);
+  if (typeof rule.match?.hasTools === 'boolean') match.hasTools = rule.match.hasTools;
+
+  const normalized = { name: String(rule.name || `rule-${index + 1}`).trim(), match };
+  if (rule.model) normalized.model = String(rule.model).trim();
+  if (Number.isInteger(rule.maxTokens) && rule.maxTokens > 0) normalized.maxTokens = rule.maxTokens;
+  if (typeof rule.temperature === 'number' && rule.temperature >= 0 && rule.temperature <= 2) {
+    normalized.temperature = rule.temperature;
+  }
+  if (typeof rule.cache === 'boolean') normalized.cache = rule.cache;
+  return normalized;
+}
+
+/**
+ * Normalize an MCP server entry; returns null for entries without a name or
+ * without the url (websocket, http, sse) or command (stdio) their transport needs
+ * When transport is missing it is derived from the entry: ws(s):// URLs use
+ * WebSocket, http(s):// URLs Streamable HTTP and commands stdio.
+ * @param {Object} server - { name, transport, url, headers, command, args, cwd, env, enabled }
+ */
+function normalizeMcpServer(server) {
+  if (!server || typeof server !== 'object') return null;
+
+  const name = String(server.name || '').trim();
+  const url = String(server.url || '').trim();
+  const command = String(server.command || '').trim();
+  if (!name) return null;
+
+  const transport = MCP_TRANSPORTS.includes(server.transport)
+    ? server.transport
+    : url ? (/^https?:/i.test(url) ? 'http' : 'websocket') : 'stdio';
+  if (transport === 'stdio' ? !command : !url) return null;
+
+  const normalized = { name, transport };
+  if (transport === 'stdio') {
+    normalized.command = command;
+    normalized.args = Array.isArray(server.args) ? server.args.map(String) : [];
+    if (server.cwd) normalized.cwd = String(server.cwd);
+    // Extra environment variables, added to the proxy's own environment
+    if (server.env && typeof server.env === 'object') {
+      normalized.env = Object.fromEntries(
+        Object.entries(server.env).map(([key, value]) => [key, String(value)])
+      );
+    }
+  } else {
+    normalized.url = url;
+  }
+  // Extra request headers (e.g. Authorization) for the HTTP transports
+  if (['http', 'sse'].includes(transport) && server.headers && typeof server.headers === 'object') {
+    normalized.headers = Object.fromEntries(
+      Object.entries(server.headers).map(([key, value]) => [key, String(value)])
+    );
+  }
+  normalized.enabled = server.enabled !== false;
+  return normalized;
+}
+
 /**
  * Generate a cryptographically secure random API key
  * @returns {string} 64-character hexadecimal string
@@ -19,27 +105,30 @@ function generateApiKey() {
 
 /**
  * Load configuration from file or create default configuration
+ * The result is normalized like a saved configuration, so defaults such as
+ * routing rules and model fallbacks apply from startup
  * @returns {Object} Configuration object with all settings
  */
 function loadConfig() {
   try {
     if (fs.existsSync(CONFIG_FILE)) {
       const data = fs.readFileSync(CONFIG_FILE, 'utf8');
-      return JSON.parse(data);
+      return normalizeConfig(JSON.parse(data));
     }
   } catch (error) {
     console.error('Error loading config:', error.message);
   }
 
   // Return default configuration
-  return {
+  return normalizeConfig({
     adminPassword: process.env.ADMIN_PASSWORD || 'admin123',
     geminiApiUrl: process.env.GEMINI_API_URL || '',
     geminiApiKey: process.env.GEMINI_API_KEY || '',
     defaultGeminiModel: process.env.DEFAULT_GEMINI_MODEL || 'gemini-2.5-flash',
     localApiKey: generateApiKey(),
+    modelAliases: DEFAULT_MODEL_ALIASES,
     version: '1.0.0'
-  };
+  });
 }
 
 /**
@@ -81,12 +170,11 @@ function validateUrl(url) {
 }
 
 /**
- * Validate and normalize configuration, filling in defaults for missing fields
- * @param {Object} config - Configuration object to validate
- * @returns {Object} Validated and normalized configuration
- * @throws {Error} If URL format is invalid
+ * Normalize configuration, filling in defaults for missing fields
+ * @param {Object} config - Configuration object to normalize
+ * @returns {Object} Normalized configuration
  */
-function validateConfig(config) {
+function normalizeConfig(config) {
   const validated = { ...config };
 
   // Ensure required fields exist
@@ -106,20 +194,91 @@ function validateConfig(config) {
     validated.version = '1.0.0';
   }
 
-  // Add MCP servers configuration
-  if (!validated.mcpServers) {
-    validated.mcpServers = [];
+  // Normalize model aliases to a list of { pattern, model }
+  if (!Array.isArray(validated.modelAliases)) {
+    validated.modelAliases = DEFAULT_MODEL_ALIASES;
+  }
+  validated.modelAliases = validated.modelAliases
+    .map(alias => ({
+      pattern: String(alias?.pattern || '').trim(),
+      model: String(alias?.model || '').trim()
+    }))
+    .filter(alias => alias.pattern && alias.model);
+
+  // Normalize model fallbacks to a list of { model, fallbacks: [...] }
+  if (!Array.isArray(validated.modelFallbacks)) {
+    validated.modelFallbacks = DEFAULT_MODEL_FALLBACKS;
+  }
+  validated.modelFallbacks = validated.modelFallbacks
+    .map(entry => ({
+      model: String(entry?.model || '').trim(),
+      fallbacks: (Array.isArray(entry?.fallbacks) ? entry.fallbacks : [])
+        .map(model => String(model || '').trim())
+        .filter(model => model && model !== String(entry?.model || '').trim())
+    }))
+    .filter(entry => entry.model && entry.fallbacks.length > 0);
+
+  // Routing rules by request type / matcher, first match wins (none unless configured)
+  validated.routingRules = (Array.isArray(validated.routingRules) ? validated.routingRules : [])
+    .map(normalizeRoutingRule)
+    .filter(Boolean);
+
+  // Gemini API key pool ([{ key, enabled }]); single-key configurations are migrated
+  if (!Array.isArray(validated.geminiApiKeys)) {
+    validated.geminiApiKeys = validated.geminiApiKey ? [{ key: validated.geminiApiKey, enabled: true }] : [];
   }
+  validated.geminiApiKeys = validated.geminiApiKeys
+    .map(entry => typeof entry === 'string'
+      ? { key: entry.trim(), enabled: true }
+      : { key: String(entry?.key || '').trim(), enabled: entry?.enabled !== false })
+    .filter(entry => entry.key)
+    .filter((entry, index, list) => list.findIndex(other => other.key === entry.key) === index);
+
+  // geminiApiKey stays the first enabled key for single-key consumers
+  const primaryKey = validated.geminiApiKeys.find(entry => entry.enabled) || validated.geminiApiKeys[0];
+  validated.geminiApiKey = primaryKey ? primaryKey.key : '';
 
-  // Add Gemini-specific MCP settings
-  if (!validated.geminiMcpSettings) {
-    validated.geminiMcpSettings = {
-      maxConcurrentCalls: 1, // Gemini 2.5 limitation
-      timeoutMs: 30000,
-      retryAttempts: 3
-    };
+  if (!['round-robin', 'least-used'].includes(validated.keySelection)) {
+    validated.keySelection = 'round-robin';
   }
 
+  // MCP servers: invalid entries and duplicate names are dropped
+  validated.mcpServers = (Array.isArray(validated.mcpServers) ? validated.mcpServers : [])
+    .map(normalizeMcpServer)
+    .filter(Boolean)
+    .filter((server, index, list) => list.findIndex(other => other.name === server.name) === index);
+
+  // Add Gemini-specific MCP settings (missing keys are filled with defaults)
+  validated.geminiMcpSettings = {
+    maxConcurrentCalls: 1, // Gemini 2.5 limitation
+    timeoutMs: 30000,
+    retryAttempts: 3,
+    stripToolsOnFunctionResponse: false, // Drop tools when history has tool results
+    repromptInvalidToolCalls: false, // Ask the model once to fix calls that violate the tool schema (non-streaming requests only)
+    maxToolIterations: 5, // Gemini round trips per request when the proxy runs MCP tools
+    ...validated.geminiMcpSettings
+  };
+
+  // Prompt caching: cache_control prefixes become Gemini cachedContents (opt-in,
+  // cachedContents are billed for as long as they are stored)
+  validated.promptCaching = {
+    enabled: false,
+    minTokens: 1024, // Smaller prefixes are sent uncached
+    ...validated.promptCaching
+  };
+
+  return validated;
+}
+
+/**
+ * Validate and normalize configuration, filling in defaults for missing fields
+ * @param {Object} config - Configuration object to validate
+ * @returns {Object} Validated and normalized configuration
+ * @throws {Error} If URL format is invalid
+ */
+function validateConfig(config) {
+  const validated = normalizeConfig(config);
+
   // Validate URL format
   if (validated.geminiApiUrl && !validateUrl(validated.geminiApiUrl)) {
     throw new Error('Invalid Gemini API URL format. Must use https://');
@@ -133,5 +292,6 @@ module.exports = {
   saveConfig,
   generateApiKey,
   validateConfig,
-  validateUrl
+  validateUrl,
+  normalizeMcpServer
 };
@@ -0,0 +1,185 @@
+/**
+ * Key Pool Module
+ * Spreads upstream requests over several Gemini API keys
+ *
+ * - Selection: round-robin (default) or least-used
+ * - Keys that answer 429 (quota) or 403 (permission) cool down and are
+ *   skipped until the cooldown ends
+ * - Per-key request, error and token counters for the admin UI
+ * - configure() applies a new key list at runtime, keeping the counters of
+ *   keys that stay in the list
+ */
+
+const crypto = require('crypto');
+
+const RATE_LIMIT_COOLDOWN_MS = 60 * 1000;      // 429 without a retry delay
+const PERMISSION_COOLDOWN_MS = 10 * 60 * 1000; // 403
+
+// Stable, non-secret identifier for a key
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').substring(0, 12);
+}
+
+function maskKey(key) {
+  return key.length > 8 ? `${key.substring(0, 4)}…${key.substring(key.length - 4)}` : '••••';
+}
+
+class KeyPool {
+  constructor() {
+    this.keys = [];
+    this.strategy = 'round-robin';
+    this.cursor = 0;
+  }
+
+  /**
+   * Apply the key list from the configuration
+   * @param {Object} config - Configuration with geminiApiKeys ([{ key, enabled }]),
+   *   geminiApiKey (single-key configurations) and keySelection
+   */
+  configure(config) {
+    const list = Array.isArray(config.geminiApiKeys)
+      ? config.geminiApiKeys
+      : [{ key: config.geminiApiKey, enabled: true }];
+
+    const previous = new Map(this.keys.map(entry => [entry.key, entry]));
+    const seen = new Set();
+    this.keys = [];
+
+    for (const { key, enabled } of list) {
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+
+      const entry = previous.get(key) || {
+        id: keyId(key),
+        key,
+        cooldownUntil: 0,
+        lastError: null,
+        lastUsed: null,
+        stats: { requests: 0, errors: 0, rateLimited: 0, inputTokens: 0, outputTokens: 0 }
+      };
+      entry.enabled = enabled !== false;
+      this.keys.push(entry);
+    }
+
+    this.strategy = config.keySelection === 'least-used' ? 'least-used' : 'round-robin';
+    this.cursor = this.cursor % Math.max(1, this.keys.length);
+  }
+
+  /**
+   * Pick a key for the next upstream request
+   * When every enabled key is cooling down, the one that recovers first is
+   * returned so the request can still be attempted (and retried).
+   * @param {Set<string>} exclude - Keys already tried for this request
+   * @returns {Object|null} Pool entry, null if no key is enabled
+   */
+  acquire(exclude = new Set()) {
+    const now = Date.now();
+    const enabled = this.keys.filter(entry => entry.enabled && !exclude.has(entry.key));
+    const available = enabled.filter(entry => entry.cooldownUntil <= now);
+
+    if (available.length === 0) {
+      return enabled.sort((a, b) => a.cooldownUntil - b.cooldownUntil)[0] || null;
+    }
+
+    if (this.strategy === 'least-used') {
+      return available.reduce((best, entry) => entry.stats.requests < best.stats.requests ? entry : best);
+    }
+
+    // Round-robin over the full list so the order stays stable when keys cool down
+    for (let i = 0; i < this.keys.length; i++) {
+      const entry = this.keys[(this.cursor + i) % this.keys.length];
+      if (available.includes(entry)) {
+        this.cursor = (this.keys.indexOf(entry) + 1) % this.keys.length;
+        return entry;
+      }
+    }
+    return available[0];
+  }
+
+  /**
+   * Whether another key could serve a request right now
+   */
+  hasAvailable(exclude = new Set()) {
+    const now = Date.now();
+    return this.keys.some(entry => entry.enabled && !exclude.has(entry.key) && entry.cooldownUntil <= now);
+  }
+
+  /**
+   * Whether a key is enabled and not cooling down
+   */
+  isAvailable(key) {
+    const entry = this.keys.find(item => item.key === key);
+    return Boolean(entry && entry.enabled && entry.cooldownUntil <= Date.now());
+  }
+
+  /**
+   * Record the outcome of an upstream request
+   * @param {string} key - Key used for the request
+   * @param {number} status - HTTP status (0 for network errors)
+   * @param {number|null} retryDelayMs - Delay requested by the upstream, if any
+   */
+  report(key, status, retryDelayMs = null) {
+    // The key may have been removed from the pool while the request was running
+    const entry = this.keys.find(item => item.key === key);
+    if (!entry) return;
+
+    entry.stats.requests++;
+    entry.lastUsed = new Date().toISOString();
+
+    if (status >= 200 && status < 300) return;
+
+    entry.stats.errors++;
+    entry.lastError = { status, at: entry.lastUsed };
+
+    if (status === 429) {
+      entry.stats.rateLimited++;
+      entry.cooldownUntil = Date.now() + (retryDelayMs ?? RATE_LIMIT_COOLDOWN_MS);
+      console.warn(`🔑 Key ${maskKey(entry.key)} rate limited, cooling down for ${Math.round((entry.cooldownUntil - Date.now()) / 1000)}s`);
+    } else if (status === 403) {
+      entry.cooldownUntil = Date.now() + PERMISSION_COOLDOWN_MS;
+      console.warn(`🔑 Key ${maskKey(entry.key)} denied (403), cooling down for ${PERMISSION_COOLDOWN_MS / 60000} min`);
+    }
+  }
+
+  /**
+   * Add token usage (Claude usage object) to a key's counters
+   */
+  recordUsage(key, usage) {
+    const entry = this.keys.find(item => item.key === key);
+    if (!entry || !usage) return;
+    entry.stats.inputTokens += (usage.input_tokens || 0) +
+      (usage.cache_read_input_tokens || 0) + (usage.cache_creation_input_tokens || 0);
+    entry.stats.outputTokens += usage.output_tokens || 0;
+  }
+
+  /**
+   * Clear the cooldown of a key
+   * @returns {boolean} False if the key is not in the pool
+   */
+  resetCooldown(id) {
+    const entry = this.keys.find(item => item.id === id);
+    if (!entry) return false;
+    entry.cooldownUntil = 0;
+    return true;
+  }
+
+  // Pool state for the admin UI, without the keys themselves
+  getStats() {
+    const now = Date.now();
+    return {
+      strategy: this.strategy,
+      keys: this.keys.map(entry => ({
+        id: entry.id,
+        key: maskKey(entry.key),
+        enabled: entry.enabled,
+        status: !entry.enabled ? 'disabled' : entry.cooldownUntil > now ? 'cooling' : 'active',
+        cooldownSeconds: Math.max(0, Math.ceil((entry.cooldownUntil - now) / 1000)),
+        lastUsed: entry.lastUsed,
+        lastError: entry.lastError,
+        ...entry.stats
+      }))
+    };
+  }
+}
+
+module.exports = { KeyPool, keyId, maskKey };
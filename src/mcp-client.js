@@ -6,6 +6,39 @@
 const { EventEmitter } = require('events');
 const WebSocket = require('ws');
 
+const REQUEST_TIMEOUT_MS = 30000;
+const MAX_RECONNECT_DELAY_MS = 30000;
+const MAX_STREAM_RESUMES = 3;
+const MAX_LIST_PAGES = 100;           // tools/list 等分页请求的页数上限
+const STDERR_MAX_LINES = 200;          // 每个服务器保留的 stderr 行数
+const RESTART_BASE_DELAY_MS = 1000;
+const MAX_RESTART_DELAY_MS = 60000;
+const MAX_RESTARTS = 5;                // 连续重启次数上限
+const STABLE_UPTIME_MS = 60000;        // 运行超过该时间后重启计数清零
+const TRANSPORT_TYPES = ['websocket', 'stdio', 'http', 'sse'];
+
+// list_changed 通知 → 需要重新获取的列表
+const LIST_CHANGED_NOTIFICATIONS = {
+  'notifications/tools/list_changed': 'tools',
+  'notifications/resources/list_changed': 'resources',
+  'notifications/prompts/list_changed': 'prompts'
+};
+
+/**
+ * 确定服务器使用的传输方式
+ * 未指定 transport 时：ws(s):// 地址用 WebSocket，http(s):// 地址用 Streamable HTTP，
+ * 只有 command 的用 stdio
+ */
+function getTransportType(serverConfig) {
+  if (TRANSPORT_TYPES.includes(serverConfig.transport)) {
+    return serverConfig.transport;
+  }
+  if (serverConfig.url) {
+    return /^https?:/i.test(serverConfig.url) ? 'http' : 'websocket';
+  }
+  return 'stdio';
+}
+
 class MCPClient extends EventEmitter {
   constructor(config = {}) {
     super();
@@ -27,6 +60,7 @@ class MCPClient extends EventEmitter {
     this.tools = new Map();
     this.resources = new Map();
     this.prompts = new Map();
+    this.stderrLogs = new Map(); // 服务器名 → 最近的 stderr 行 [{ time, text }]
     this.connectionId = null;
     this.initialized = false;
   }
@@ -35,22 +69,31 @@ class MCPClient extends EventEmitter {
    * 连接到MCP服务器
    */
   async connect(serverConfig) {
-    const { name, url, command, args = [] } = serverConfig;
+    const { name, url, command, args = [], headers = {}, cwd, env } = serverConfig;
+    const type = getTransportType(serverConfig);
+    let transport;
 
     try {
-      console.log(`🔗 连接MCP服务器: ${name}`);
+      console.log(`🔗 连接MCP服务器: ${name} (${type})`);
 
-      let transport;
-      if (url) {
+      if (type === 'stdio' ? !command : !url) {
+        throw new Error(`${type} 传输必须提供${type === 'stdio' ? 'command' : 'url'}参数`);
+      }
+
+      if (type === 'http') {
+        transport = new StreamableHttpTransport(url, headers);
+      } else if (type === 'sse') {
+        transport = new SSETransport(url, headers);
+      } else if (type === 'websocket') {
         transport = new WebSocketTransport(url);
-      } else if (command) {
-        transport = new StdioTransport(command, args);
       } else {
-        throw new Error('必须提供url或command参数');
+        transport = new StdioTransport(command, args, {
+          cwd,
+          env,
+          onStderr: text => this._appendStderr(name, text)
+        });
       }
 
-      await transport.connect();
-
       const server = {
         name,
         config: serverConfig,
@@ -58,6 +101,13 @@ class MCPClient extends EventEmitter {
         capabilities: null
       };
 
+      // 会话过期（HTTP 404 或 SSE 重连后换了会话）时重新握手
+      transport.reinitialize = () => this._initializeHandshake(server);
+      // 通知等服务器主动发送的消息
+      transport.onMessage = message => this._handleServerMessage(server, message);
+
+      await transport.connect();
+
       // 初始化握手
       await this._initializeHandshake(server);
       this.servers.set(name, server);
@@ -80,12 +130,30 @@ class MCPClient extends EventEmitter {
         await this._loadPrompts(server);
       }
 
+      // stdio 进程意外退出时自动重启
+      transport.supervise?.({
+        onExit: (reason, delayMs) => this.emit('server:exited', name, reason, delayMs),
+        onRestart: () => {
+          this.emit('server:restarted', name);
+          // 重启后的进程可能提供不同的工具
+          for (const kind of ['tools', 'resources', 'prompts']) {
+            if (server.capabilities?.[kind]) this._refreshList(server, kind);
+          }
+        },
+        onGiveUp: async (reason) => {
+          await this.disconnectServer(name);
+          this.emit('server:failed', name, reason);
+        }
+      });
+
       console.log(`✅ MCP服务器 ${name} 连接成功`);
       this.emit('server:connected', server);
 
       return server;
     } catch (error) {
       console.error(`❌ 连接MCP服务器失败: ${name}`, error);
+      // 握手失败时不留下子进程或连接
+      await transport?.close().catch(() => {});
       throw error;
     }
   }
@@ -115,6 +183,8 @@ class MCPClient extends EventEmitter {
     }
 
     server.capabilities = response.result.capabilities;
+    // HTTP 传输在之后的请求中带上协商的版本（MCP-Protocol-Version）
+    server.transport.protocolVersion = response.result.protocolVersion;
 
     // 发送initialized通知
     await server.transport.send({
@@ -135,30 +205,60 @@ class MCPClient extends EventEmitter {
   }
 
   /**
-   * 加载工具列表
+   * 获取完整列表，按 nextCursor 逐页请求
+   * @throws {Error} 请求失败时抛出，调用方保留原有列表
    */
-  async _loadTools(server) {
-    try {
+  async _listAll(server, method, key) {
+    const items = [];
+    let cursor;
+
+    for (let page = 0; page < MAX_LIST_PAGES; page++) {
       const response = await server.transport.send({
         jsonrpc: '2.0',
         id: this._generateId(),
-        method: 'tools/list'
+        method,
+        ...(cursor && { params: { cursor } })
       });
 
       if (response.error) {
-        console.warn(`⚠️ 获取工具列表失败: ${response.error.message}`);
-        return;
+        throw new Error(`${method} 失败: ${response.error.message}`);
       }
 
-      const tools = response.result.tools || [];
-      tools.forEach(tool => {
-        const toolId = `${server.name}:${tool.name}`;
-        this.tools.set(toolId, {
+      items.push(...(response.result?.[key] || []));
+      cursor = response.result?.nextCursor;
+      if (!cursor) return items;
+    }
+
+    console.warn(`⚠️ ${method} 超过 ${MAX_LIST_PAGES} 页，只使用前 ${items.length} 项: ${server.name}`);
+    return items;
+  }
+
+  /**
+   * 用服务器的新列表整体替换注册表中该服务器的条目
+   * 替换的是新的 Map，遍历中的旧注册表不受影响
+   */
+  _replaceEntries(registry, serverName, entries) {
+    const next = new Map(Array.from(this[registry]).filter(([, item]) => item.server !== serverName));
+    for (const [id, item] of entries) {
+      next.set(id, item);
+    }
+    this[registry] = next;
+  }
+
+  /**
+   * 加载工具列表
+   */
+  async _loadTools(server) {
+    try {
+      const tools = await this._listAll(server, 'tools/list', 'tools');
+      this._replaceEntries('tools', server.name, tools.map(tool => [
+        `${server.name}:${tool.name}`,
+        {
           ...tool,
           server: server.name,
           serverName: tool.name
-        });
-      });
+        }
+      ]));
 
       console.log(`🔧 加载 ${tools.length} 个工具从 ${server.name}`);
     } catch (error) {
@@ -171,25 +271,11 @@ class MCPClient extends EventEmitter {
    */
   async _loadResources(server) {
     try {
-      const response = await server.transport.send({
-        jsonrpc: '2.0',
-        id: this._generateId(),
-        method: 'resources/list'
-      });
-
-      if (response.error) {
-        console.warn(`⚠️ 获取资源列表失败: ${response.error.message}`);
-        return;
-      }
-
-      const resources = response.result.resources || [];
-      resources.forEach(resource => {
-        const resourceId = `${server.name}:${resource.uri}`;
-        this.resources.set(resourceId, {
-          ...resource,
-          server: server.name
-        });
-      });
+      const resources = await this._listAll(server, 'resources/list', 'resources');
+      this._replaceEntries('resources', server.name, resources.map(resource => [
+        `${server.name}:${resource.uri}`,
+        { ...resource, server: server.name }
+      ]));
 
       console.log(`📁 加载 ${resources.length} 个资源从 ${server.name}`);
     } catch (error) {
@@ -202,25 +288,11 @@ class MCPClient extends EventEmitter {
    */
   async _loadPrompts(server) {
     try {
-      const response = await server.transport.send({
-        jsonrpc: '2.0',
-        id: this._generateId(),
-        method: 'prompts/list'
-      });
-
-      if (response.error) {
-        console.warn(`⚠️ 获取提示列表失败: ${response.error.message}`);
-        return;
-      }
-
-      const prompts = response.result.prompts || [];
-      prompts.forEach(prompt => {
-        const promptId = `${server.name}:${prompt.name}`;
-        this.prompts.set(promptId, {
-          ...prompt,
-          server: server.name
-        });
-      });
+      const prompts = await this._listAll(server, 'prompts/list', 'prompts');
+      this._replaceEntries('prompts', server.name, prompts.map(prompt => [
+        `${server.name}:${prompt.name}`,
+        { ...prompt, server: server.name }
+      ]));
 
       console.log(`💬 加载 ${prompts.length} 个提示从 ${server.name}`);
     } catch (error) {
@@ -228,6 +300,74 @@ class MCPClient extends EventEmitter {
     }
   }
 
+  /**
+   * 处理服务器主动发送的消息
+   * 通知作为 'notification' 事件和以方法名命名的事件分发；
+   * list_changed 时重新获取对应列表，完成后发出 'tools:changed' 等事件
+   */
+  _handleServerMessage(server, message) {
+    if (!message.method) {
+      // 已超时请求的迟到响应
+      return;
+    }
+    if (message.id !== undefined) {
+      // 服务器发起的请求（如 ping、sampling）暂不支持
+      console.log(`📢 收到MCP服务器请求 (${server.name}): ${message.method}`);
+      return;
+    }
+
+    this.emit('notification', server.name, message);
+    if (message.method.startsWith('notifications/')) {
+      this.emit(message.method, server.name, message.params);
+    }
+
+    const kind = LIST_CHANGED_NOTIFICATIONS[message.method];
+    if (kind) {
+      const label = { tools: '工具', resources: '资源', prompts: '提示' }[kind];
+      console.log(`🔄 ${server.name} 的${label}列表已变更，重新获取`);
+      this._refreshList(server, kind);
+    } else {
+      console.log(`📢 收到MCP通知 (${server.name}):`, message);
+    }
+  }
+
+  /**
+   * 重新获取服务器的某个列表
+   * 获取过程中再次收到变更通知时，结束后再获取一次
+   */
+  _refreshList(server, kind) {
+    server.refreshing = server.refreshing || {};
+    const current = server.refreshing[kind];
+    if (current) {
+      current.again = true;
+      return current.promise;
+    }
+
+    const load = {
+      tools: () => this._loadTools(server),
+      resources: () => this._loadResources(server),
+      prompts: () => this._loadPrompts(server)
+    }[kind];
+
+    const refresh = { again: true };
+    refresh.promise = (async () => {
+      try {
+        while (refresh.again && this.servers.get(server.name) === server) {
+          refresh.again = false;
+          await load();
+        }
+      } finally {
+        delete server.refreshing[kind];
+      }
+      // 服务器已断开时不再通知
+      if (this.servers.get(server.name) === server) {
+        this.emit(`${kind}:changed`, server.name);
+      }
+    })();
+    server.refreshing[kind] = refresh;
+    return refresh.promise;
+  }
+
   /**
    * 调用MCP工具
    */
@@ -337,6 +477,48 @@ class MCPClient extends EventEmitter {
     }
   }
 
+  _appendStderr(name, text) {
+    const lines = this.stderrLogs.get(name) || [];
+    lines.push({ time: new Date().toISOString(), text });
+    if (lines.length > STDERR_MAX_LINES) {
+      lines.splice(0, lines.length - STDERR_MAX_LINES);
+    }
+    this.stderrLogs.set(name, lines);
+    console.log(`📝 [${name}] ${text}`);
+  }
+
+  /**
+   * 获取服务器最近的 stderr 输出（连接失败后仍保留，便于排查）
+   */
+  getStderr(name) {
+    return this.stderrLogs.get(name) || [];
+  }
+
+  /**
+   * 断开单个服务器，并移除它的工具、资源和提示
+   */
+  async disconnectServer(name) {
+    const server = this.servers.get(name);
+    this.servers.delete(name);
+
+    for (const registry of [this.tools, this.resources, this.prompts]) {
+      for (const [id, item] of registry) {
+        if (item.server === name) {
+          registry.delete(id);
+        }
+      }
+    }
+
+    if (server?.transport?.close) {
+      try {
+        await server.transport.close();
+        console.log(`✅ 已断开: ${name}`);
+      } catch (error) {
+        console.error(`❌ 断开连接失败: ${name}`, error);
+      }
+    }
+  }
+
   /**
    * 断开所有连接
    */
@@ -465,6 +647,12 @@ class WebSocketTransport {
       throw new Error('WebSocket未连接');
     }
 
+    // 通知没有响应，发送后直接返回
+    if (request.method?.startsWith('notifications/')) {
+      this.ws.send(JSON.stringify(request));
+      return null;
+    }
+
     const id = request.id || ++this.messageId;
     if (!request.id) {
       request.id = id;
@@ -493,8 +681,8 @@ class WebSocketTransport {
       this.pendingRequests.delete(message.id);
       resolve(message);
     } else {
-      // 处理通知
-      console.log('📢 收到MCP通知:', message);
+      // 通知等服务器主动发送的消息
+      this.onMessage?.(message);
     }
   }
 
@@ -507,76 +695,188 @@ class WebSocketTransport {
 
 /**
  * Stdio传输层（用于子进程）
+ * - connect() 在进程启动后返回，是否就绪由随后的 initialize 握手决定
+ * - 进程退出时立即拒绝所有未完成的请求
+ * - supervise() 之后，进程意外退出会按指数退避重启并重新握手；
+ *   连续 MAX_RESTARTS 次在 STABLE_UPTIME_MS 内退出则放弃
  */
 class StdioTransport {
-  constructor(command, args) {
+  /**
+   * @param {string} command - 启动命令
+   * @param {Array} args - 命令参数
+   * @param {Object} options - { cwd, env（追加到当前环境变量）, onStderr（每行 stderr 调用一次）}
+   */
+  constructor(command, args, options = {}) {
     this.command = command;
     this.args = args;
+    this.cwd = options.cwd;
+    this.env = options.env;
+    this.onStderr = options.onStderr || (() => {});
     this.process = null;
     this.pendingRequests = new Map();
     this.messageId = 0;
     this.buffer = '';
+    this.stderrBuffer = '';
+    this.supervisor = null;
+    this.restarts = 0;
+    this.restartTimer = null;
+    this.startedAt = 0;
+    this.closed = false;
   }
 
   async connect() {
+    await this._spawn();
+    console.log(`🚀 MCP服务器进程已启动: ${this.command} (pid ${this.process.pid})`);
+  }
+
+  _spawn() {
     return new Promise((resolve, reject) => {
       const { spawn } = require('child_process');
 
-      this.process = spawn(this.command, this.args, {
+      const child = spawn(this.command, this.args, {
+        cwd: this.cwd,
+        env: this.env ? { ...process.env, ...this.env } : process.env,
         stdio: ['pipe', 'pipe', 'pipe']
       });
+      let spawned = false;
+      this.buffer = '';
+      this.stderrBuffer = '';
 
-      this.process.stdout.on('data', (data) => {
+      child.stdout.on('data', (data) => {
         this.buffer += data.toString();
         this._processMessages();
       });
 
-      this.process.stderr.on('data', (data) => {
-        console.error('❌ MCP服务器错误:', data.toString());
+      // stderr 是服务器的日志输出，不一定是错误
+      child.stderr.on('data', (data) => {
+        const lines = (this.stderrBuffer + data.toString()).split('\n');
+        this.stderrBuffer = lines.pop();
+        lines.filter(line => line.trim()).forEach(line => this.onStderr(line));
       });
 
-      this.process.on('error', (error) => {
-        console.error('❌ 进程错误:', error);
-        reject(error);
+      // 进程退出后写入会触发 EPIPE，由退出处理拒绝请求
+      child.stdin.on('error', () => {});
+
+      child.on('spawn', () => {
+        spawned = true;
+        this.process = child;
+        this.startedAt = Date.now();
+        resolve();
       });
 
-      this.process.on('close', (code) => {
-        console.log(`🔌 MCP服务器进程退出: ${code}`);
+      child.on('error', (error) => {
+        if (!spawned) {
+          reject(error);
+        } else {
+          console.error('❌ 进程错误:', error);
+        }
       });
 
-      // 给进程一点时间启动
-      setTimeout(() => resolve(), 1000);
+      child.on('exit', (code, signal) => {
+        if (spawned) this._handleExit(child, code, signal);
+      });
     });
   }
 
+  _handleExit(child, code, signal) {
+    if (child !== this.process) return;
+    this.process = null;
+
+    const reason = `MCP服务器进程退出 (${signal || `code ${code}`})`;
+    console.log(`🔌 ${reason}`);
+    this._rejectPending(new Error(reason));
+
+    if (!this.closed && this.supervisor) {
+      if (Date.now() - this.startedAt >= STABLE_UPTIME_MS) {
+        this.restarts = 0;
+      }
+      this._scheduleRestart(reason);
+    }
+  }
+
+  /**
+   * 进程意外退出时自动重启
+   * @param {Object} handlers - { onExit(reason, delayMs), onRestart(), onGiveUp(reason) }
+   */
+  supervise(handlers) {
+    this.supervisor = handlers;
+  }
+
+  _scheduleRestart(reason) {
+    if (this.restarts >= MAX_RESTARTS) {
+      console.error(`❌ MCP服务器连续 ${this.restarts} 次退出，不再重启: ${this.command}`);
+      this.supervisor.onGiveUp?.(reason);
+      return;
+    }
+
+    const delayMs = Math.min(MAX_RESTART_DELAY_MS, RESTART_BASE_DELAY_MS * 2 ** this.restarts);
+    this.restarts++;
+    console.log(`🔁 ${Math.round(delayMs / 1000)} 秒后重启MCP服务器 (第 ${this.restarts} 次): ${this.command}`);
+    this.supervisor.onExit?.(reason, delayMs);
+    this.restartTimer = setTimeout(() => this._restart(), delayMs);
+  }
+
+  async _restart() {
+    this.restartTimer = null;
+    if (this.closed) return;
+
+    try {
+      await this._spawn();
+      await this.reinitialize();
+      console.log(`✅ MCP服务器已重启: ${this.command}`);
+      this.supervisor.onRestart?.();
+    } catch (error) {
+      console.error(`❌ 重启MCP服务器失败: ${error.message}`);
+      // 握手失败时结束进程，由退出处理安排下一次重启；进程没能启动则直接安排
+      if (this.process) {
+        this.process.kill();
+      } else if (!this.restartTimer && !this.closed) {
+        this._scheduleRestart(error.message);
+      }
+    }
+  }
+
   async send(request) {
     if (!this.process) {
       throw new Error('进程未连接');
     }
 
+    // 通知没有响应，发送后直接返回
+    if (request.method?.startsWith('notifications/')) {
+      this.process.stdin.write(JSON.stringify(request) + '\n');
+      return null;
+    }
+
     const id = request.id || ++this.messageId;
     if (!request.id) {
       request.id = id;
     }
 
     return new Promise((resolve, reject) => {
-      if (request.id) {
-        this.pendingRequests.set(request.id, { resolve, reject });
-      }
-
-      const message = JSON.stringify(request) + '\n';
-      this.process.stdin.write(message);
-
-      // 设置超时
-      setTimeout(() => {
+      const timer = setTimeout(() => {
         if (this.pendingRequests.has(request.id)) {
           this.pendingRequests.delete(request.id);
           reject(new Error('请求超时'));
         }
-      }, 30000);
+      }, REQUEST_TIMEOUT_MS);
+
+      this.pendingRequests.set(request.id, {
+        resolve: message => { clearTimeout(timer); resolve(message); },
+        reject: error => { clearTimeout(timer); reject(error); }
+      });
+
+      const message = JSON.stringify(request) + '\n';
+      this.process.stdin.write(message);
     });
   }
 
+  _rejectPending(error) {
+    for (const { reject } of this.pendingRequests.values()) {
+      reject(error);
+    }
+    this.pendingRequests.clear();
+  }
+
   _processMessages() {
     const lines = this.buffer.split('\n');
     this.buffer = lines.pop() || ''; // 保留未完整的行
@@ -599,20 +899,427 @@ class StdioTransport {
       this.pendingRequests.delete(message.id);
       resolve(message);
     } else {
-      // 处理通知
-      console.log('📢 收到MCP通知:', message);
+      // 通知等服务器主动发送的消息
+      this.onMessage?.(message);
     }
   }
 
   async close() {
+    this.closed = true;
+    clearTimeout(this.restartTimer);
+    this._rejectPending(new Error('MCP服务器连接已关闭'));
     if (this.process) {
       this.process.kill();
     }
   }
 }
 
+/**
+ * 读取 SSE 响应体，每个事件调用一次 onEvent({ event, data, id })
+ */
+async function readSSE(body, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = {};
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (line === '') {
+        if (Object.keys(event).length > 0) onEvent(event);
+        event = {};
+      } else if (!line.startsWith(':')) {
+        const index = line.indexOf(':');
+        const field = index === -1 ? line : line.substring(0, index);
+        const value = index === -1 ? '' : line.substring(index + 1).replace(/^ /, '');
+        if (field === 'data') {
+          event.data = event.data === undefined ? value : `${event.data}\n${value}`;
+        } else if (field === 'event' || field === 'id') {
+          event[field] = value;
+        }
+      }
+    }
+  }
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms).unref());
+}
+
+/**
+ * Streamable HTTP传输层（MCP 2025-03-26）
+ * 每条消息单独 POST，响应为 JSON 或 SSE 流；服务器在 initialize 响应中返回
+ * Mcp-Session-Id，之后的请求都带上该会话头
+ * - 会话过期（404）时重新握手并重发请求
+ * - SSE 响应在结果到达前中断时，用 Last-Event-ID 通过 GET 续传
+ * - 握手完成后打开 GET 通知流，接收服务器主动发送的消息
+ */
+class StreamableHttpTransport {
+  constructor(url, headers = {}) {
+    this.url = url;
+    this.headers = headers;
+    this.sessionId = null;
+    this.protocolVersion = null;
+    this.controller = new AbortController(); // close() 时中止所有请求和流
+    this.eventStream = null;
+    this.reinitializing = null;
+    this.closed = false;
+  }
+
+  // HTTP 无需预先建立连接，会话由 initialize 请求创建
+  async connect() {
+    console.log(`🌐 Streamable HTTP端点: ${this.url}`);
+  }
+
+  _headers(extra = {}) {
+    return {
+      ...this.headers,
+      ...(this.sessionId && { 'Mcp-Session-Id': this.sessionId }),
+      ...(this.protocolVersion && { 'MCP-Protocol-Version': this.protocolVersion }),
+      ...extra
+    };
+  }
+
+  async send(request, retried = false) {
+    if (this.closed) {
+      throw new Error('HTTP传输已关闭');
+    }
+
+    const signal = AbortSignal.any([this.controller.signal, AbortSignal.timeout(REQUEST_TIMEOUT_MS)]);
+    const sentSessionId = this.sessionId;
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: this._headers({
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream'
+      }),
+      body: JSON.stringify(request),
+      signal
+    });
+
+    // 服务器已丢弃会话：重新握手后重发一次（并发请求共用同一次握手）
+    if (response.status === 404 && sentSessionId && !retried && request.method !== 'initialize') {
+      await response.body?.cancel();
+      if (this.sessionId === sentSessionId) {
+        console.warn(`⚠️ MCP会话已过期，重新初始化: ${this.url}`);
+        this.sessionId = null;
+        this.reinitializing = this.reinitialize().finally(() => {
+          this.reinitializing = null;
+        });
+      }
+      await this.reinitializing;
+      return this.send(request, true);
+    }
+
+    const sessionId = response.headers.get('mcp-session-id');
+    if (sessionId) {
+      this.sessionId = sessionId;
+    }
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`HTTP ${response.status}: ${text.substring(0, 200)}`);
+    }
+
+    // 通知只返回 202
+    if (request.id === undefined) {
+      await response.body?.cancel();
+      if (request.method === 'notifications/initialized' && !this.eventStream) {
+        this.eventStream = this._listen();
+      }
+      return null;
+    }
+
+    if ((response.headers.get('content-type') || '').includes('text/event-stream')) {
+      return this._readStreamResponse(request.id, response, signal);
+    }
+
+    let result = null;
+    for (const message of [].concat(await response.json())) {
+      if (message.id === request.id && !message.method) {
+        result = message;
+      } else {
+        this._handleMessage(message);
+      }
+    }
+    if (!result) {
+      throw new Error('HTTP响应中没有请求结果');
+    }
+    return result;
+  }
+
+  // 从 SSE 响应中取出请求结果，其余消息作为通知处理
+  async _readStreamResponse(id, response, signal) {
+    let lastEventId = null;
+    let result = null;
+
+    for (let resumes = 0; ; resumes++) {
+      try {
+        await readSSE(response.body, event => {
+          if (event.id) lastEventId = event.id;
+          const message = this._parse(event.data);
+          if (!message) return;
+          if (message.id === id && !message.method) {
+            result = message;
+          } else {
+            this._handleMessage(message);
+          }
+        });
+      } catch (error) {
+        if (signal.aborted) throw error;
+        console.warn(`⚠️ MCP响应流中断: ${error.message}`);
+      }
+
+      if (result) return result;
+      if (!lastEventId || resumes >= MAX_STREAM_RESUMES) {
+        throw new Error('SSE响应流在结果到达前结束');
+      }
+
+      response = await fetch(this.url, {
+        method: 'GET',
+        headers: this._headers({ Accept: 'text/event-stream', 'Last-Event-ID': lastEventId }),
+        signal
+      });
+      if (!response.ok) {
+        throw new Error(`SSE续传失败: HTTP ${response.status}`);
+      }
+    }
+  }
+
+  // 服务器主动消息的 GET 流；服务器不支持（405）时不再尝试，断开后按指数退避重连
+  async _listen() {
+    let lastEventId = null;
+
+    for (let attempt = 0; !this.closed; attempt++) {
+      try {
+        const response = await fetch(this.url, {
+          method: 'GET',
+          headers: this._headers({
+            Accept: 'text/event-stream',
+            ...(lastEventId && { 'Last-Event-ID': lastEventId })
+          }),
+          signal: this.controller.signal
+        });
+        if (response.status === 405) return;
+        if (!response.ok) {
+          await response.body?.cancel();
+          throw new Error(`HTTP ${response.status}`);
+        }
+
+        attempt = 0;
+        await readSSE(response.body, event => {
+          if (event.id) lastEventId = event.id;
+          const message = this._parse(event.data);
+          if (message) this._handleMessage(message);
+        });
+      } catch (error) {
+        if (this.closed) return;
+        console.warn(`⚠️ MCP通知流断开: ${error.message}`);
+      }
+
+      await delay(Math.min(MAX_RECONNECT_DELAY_MS, 1000 * 2 ** attempt));
+    }
+  }
+
+  _parse(data) {
+    if (!data) return null;
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      console.error('❌ 解析MCP消息失败:', error);
+      return null;
+    }
+  }
+
+  _handleMessage(message) {
+    // 通知等服务器主动发送的消息
+    this.onMessage?.(message);
+  }
+
+  // 中止所有请求，并通知服务器结束会话
+  async close() {
+    this.closed = true;
+    this.controller.abort();
+
+    if (this.sessionId) {
+      await fetch(this.url, {
+        method: 'DELETE',
+        headers: this._headers(),
+        signal: AbortSignal.timeout(5000)
+      }).catch(() => {});
+      this.sessionId = null;
+    }
+  }
+}
+
+/**
+ * HTTP+SSE传输层（MCP 2024-11-05 旧版）
+ * GET 建立 SSE 连接，服务器先发送 endpoint 事件给出 POST 地址，响应和通知都从
+ * SSE 连接返回。连接断开后带 Last-Event-ID 重连；若服务器分配了新的 endpoint
+ * （新会话），则重新握手。
+ */
+class SSETransport {
+  constructor(url, headers = {}) {
+    this.url = url;
+    this.headers = headers;
+    this.endpoint = null;
+    this.lastEventId = null;
+    this.pendingRequests = new Map();
+    this.controller = new AbortController();
+    this.ready = null;
+    this.closed = false;
+  }
+
+  async connect() {
+    const ready = new Promise((resolve, reject) => {
+      this.ready = { resolve, reject };
+    });
+    this._listen();
+
+    const timer = setTimeout(() => this.ready?.reject(new Error('等待SSE endpoint事件超时')), REQUEST_TIMEOUT_MS);
+    try {
+      await ready;
+      console.log(`🌐 SSE连接已建立: ${this.url}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async _listen() {
+    for (let attempt = 0; !this.closed; attempt++) {
+      try {
+        const response = await fetch(this.url, {
+          method: 'GET',
+          headers: {
+            ...this.headers,
+            Accept: 'text/event-stream',
+            ...(this.lastEventId && { 'Last-Event-ID': this.lastEventId })
+          },
+          signal: this.controller.signal
+        });
+        if (!response.ok) {
+          await response.body?.cancel();
+          throw new Error(`HTTP ${response.status}`);
+        }
+
+        attempt = 0;
+        await readSSE(response.body, event => {
+          if (event.id) this.lastEventId = event.id;
+          if (event.event === 'endpoint') {
+            this._setEndpoint(event.data);
+          } else if (event.data) {
+            this._handleMessage(event.data);
+          }
+        });
+        throw new Error('SSE连接已关闭');
+      } catch (error) {
+        if (this.closed) return;
+        // 首次连接失败时由 connect() 抛出
+        if (this.ready) {
+          this.ready.reject(error);
+          this.ready = null;
+          return;
+        }
+        console.warn(`⚠️ MCP SSE连接断开，准备重连: ${error.message}`);
+      }
+
+      await delay(Math.min(MAX_RECONNECT_DELAY_MS, 1000 * 2 ** attempt));
+    }
+  }
+
+  _setEndpoint(data) {
+    const endpoint = new URL(data.trim(), this.url).toString();
+    const previous = this.endpoint;
+    this.endpoint = endpoint;
+
+    if (this.ready) {
+      this.ready.resolve();
+      this.ready = null;
+    } else if (previous !== endpoint) {
+      console.warn(`⚠️ MCP SSE会话已更换，重新初始化: ${this.url}`);
+      this.reinitialize().catch(error => console.error('❌ MCP重新初始化失败:', error.message));
+    }
+  }
+
+  async send(request) {
+    if (!this.endpoint || this.closed) {
+      throw new Error('SSE未连接');
+    }
+
+    const isRequest = request.id !== undefined;
+    const pending = isRequest ? this._track(request.id) : null;
+
+    try {
+      const response = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: { ...this.headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify(request),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      const text = await response.text().catch(() => '');
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${text.substring(0, 200)}`);
+      }
+    } catch (error) {
+      if (!isRequest) throw error;
+      this.pendingRequests.get(request.id)?.reject(error);
+      this.pendingRequests.delete(request.id);
+    }
+
+    return pending;
+  }
+
+  // 等待 SSE 连接上返回的响应
+  _track(id) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(id);
+        reject(new Error('请求超时'));
+      }, REQUEST_TIMEOUT_MS);
+      this.pendingRequests.set(id, {
+        resolve: message => { clearTimeout(timer); resolve(message); },
+        reject: error => { clearTimeout(timer); reject(error); }
+      });
+    });
+  }
+
+  _handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.error('❌ 解析SSE消息失败:', error);
+      return;
+    }
+
+    if (message.id !== undefined && this.pendingRequests.has(message.id) && !message.method) {
+      const { resolve } = this.pendingRequests.get(message.id);
+      this.pendingRequests.delete(message.id);
+      resolve(message);
+    } else {
+      // 通知等服务器主动发送的消息
+      this.onMessage?.(message);
+    }
+  }
+
+  async close() {
+    this.closed = true;
+    this.controller.abort();
+    for (const { reject } of this.pendingRequests.values()) {
+      reject(new Error('SSE连接已关闭'));
+    }
+    this.pendingRequests.clear();
+  }
+}
+
 module.exports = {
   MCPClient,
   WebSocketTransport,
-  StdioTransport
+  StdioTransport,
+  StreamableHttpTransport,
+  SSETransport,
+  getTransportType
 };
\ No newline at end of file
@@ -3,7 +3,8 @@
  * 实现MCP工具到Claude/Gemini格式的双向转换
  */
 
-const { MCPClient } = require('./mcp-client');
+const { MCPClient, getTransportType } = require('./mcp-client');
+const { transpileSchema } = require('./schema-transpiler');
 
 class MCPIntegration {
   constructor(config) {
@@ -14,54 +15,152 @@ class MCPIntegration {
 
     this.geminiConfig = config;
     this.mcpServers = [];
+    this.serverStates = new Map(); // 服务器名 → { config, state, lastError, connectedAt }
     this.availableTools = new Map();
     this.initialized = false;
+
+    // stdio 服务器进程的自动重启过程反映到服务器状态
+    this.mcpClient.on('server:exited', (name, reason) => {
+      this._setState(name, { state: 'restarting', lastError: reason });
+    });
+    this.mcpClient.on('server:restarted', (name) => {
+      this._setState(name, { state: 'connected', connectedAt: new Date().toISOString() });
+    });
+    this.mcpClient.on('server:failed', (name, reason) => {
+      this._setState(name, { state: 'error', lastError: reason, connectedAt: null });
+      this._loadAllTools();
+    });
+
+    // 服务器的工具列表变更（tools/list_changed）后重建工具表
+    this.mcpClient.on('tools:changed', () => this._loadAllTools());
   }
 
   /**
    * 初始化MCP集成
+   * 单个服务器连接失败不影响其他服务器，错误记录在服务器状态中
    */
   async initialize(serverConfigs = []) {
     console.log('🚀 初始化MCP集成层...');
 
-    try {
-      // 连接所有配置的MCP服务器
-      for (const serverConfig of serverConfigs) {
-        const server = await this.mcpClient.connect(serverConfig);
-        this.mcpServers.push(server);
-
-        // 等待连接稳定
-        await new Promise(resolve => setTimeout(resolve, 1000));
+    // 连接所有配置的MCP服务器（enabled 为 false 的只登记不连接）
+    for (const serverConfig of serverConfigs) {
+      this._setState(serverConfig.name, { config: serverConfig, state: 'disconnected' });
+      if (serverConfig.enabled !== false) {
+        await this.connectServer(serverConfig);
       }
+    }
 
-      // 加载所有工具
-      await this._loadAllTools();
+    this.initialized = true;
+    console.log(`✅ MCP集成完成，已连接 ${this.mcpServers.length} 个服务器`);
+    console.log(`🔧 可用工具总数: ${this.availableTools.size}`);
 
-      this.initialized = true;
-      console.log(`✅ MCP集成完成，已连接 ${this.mcpServers.length} 个服务器`);
-      console.log(`🔧 可用工具总数: ${this.availableTools.size}`);
+    return this.availableTools;
+  }
 
-      return this.availableTools;
+  _setState(name, changes) {
+    const current = this.serverStates.get(name) || { state: 'disconnected', lastError: null, connectedAt: null };
+    this.serverStates.set(name, { ...current, ...changes });
+  }
+
+  /**
+   * 连接（或重新连接）一个MCP服务器
+   * @returns {Promise<Object>} 服务器状态，连接失败时 state 为 error
+   */
+  async connectServer(serverConfig) {
+    const { name } = serverConfig;
+    if (this.mcpClient.servers.has(name)) {
+      await this.mcpClient.disconnectServer(name);
+    }
+
+    this._setState(name, { config: serverConfig, state: 'connecting' });
+    try {
+      await this.mcpClient.connect(serverConfig);
+      this._setState(name, { state: 'connected', lastError: null, connectedAt: new Date().toISOString() });
     } catch (error) {
-      console.error('❌ MCP集成初始化失败:', error);
-      throw error;
+      this._setState(name, { state: 'error', lastError: error.message, connectedAt: null });
     }
+
+    await this._loadAllTools();
+    return this.getServer(name);
+  }
+
+  /**
+   * 断开一个MCP服务器（保留配置和状态）
+   * @param {string} name - 服务器名
+   * @param {Object} serverConfig - 可选，新的服务器配置（新增或更新已停用的服务器时）
+   */
+  async disconnectServer(name, serverConfig) {
+    await this.mcpClient.disconnectServer(name);
+    this._setState(name, { ...(serverConfig && { config: serverConfig }), state: 'disconnected', connectedAt: null });
+    await this._loadAllTools();
+    return this.getServer(name);
+  }
+
+  /**
+   * 断开并移除一个MCP服务器
+   */
+  async removeServer(name) {
+    await this.mcpClient.disconnectServer(name);
+    this.mcpClient.stderrLogs.delete(name);
+    this.serverStates.delete(name);
+    await this._loadAllTools();
+  }
+
+  /**
+   * 获取服务器最近的 stderr 输出
+   * @returns {Array|null} [{ time, text }]，服务器不存在时为 null
+   */
+  getServerStderr(name) {
+    return this.serverStates.has(name) ? this.mcpClient.getStderr(name) : null;
   }
 
   /**
    * 加载所有MCP工具
+   * 重新构建工具表后整体替换，请求不会看到只加载了一半的工具
    */
   async _loadAllTools() {
-    const allTools = this.mcpClient.getAllTools();
+    const availableTools = new Map();
 
-    for (const tool of allTools) {
-      this.availableTools.set(tool.id, {
+    for (const tool of this.mcpClient.getAllTools()) {
+      availableTools.set(tool.id, {
         ...tool,
         mcpCompatible: true
       });
-
-      console.log(`🔧 注册MCP工具: ${tool.id}`);
     }
+
+    this.availableTools = availableTools;
+    this.mcpServers = Array.from(this.mcpClient.servers.values());
+    console.log(`🔧 已注册 ${availableTools.size} 个MCP工具`);
+  }
+
+  /**
+   * 获取单个服务器的状态
+   * @returns {Object|null} { name, transport, enabled, state, capabilities, tools, lastError, connectedAt }
+   */
+  getServer(name) {
+    const entry = this.serverStates.get(name);
+    if (!entry) return null;
+
+    const server = this.mcpClient.servers.get(name);
+    const tools = Array.from(this.availableTools.values()).filter(tool => tool.server === name);
+    return {
+      name,
+      transport: getTransportType(entry.config || {}),
+      enabled: entry.config?.enabled !== false,
+      state: entry.state,
+      capabilities: server?.capabilities || null,
+      tools: tools.length,
+      toolNames: tools.map(tool => tool.name),
+      lastError: entry.lastError,
+      connectedAt: entry.connectedAt
+    };
+  }
+
+  /**
+   * 获取所有服务器的状态
+   */
+  getServers() {
+    return Array.from(this.serverStates.keys()).map(name => this.getServer(name));
   }
 
   /**
@@ -131,7 +230,11 @@ class MCPIntegration {
       // 转换结果格式
       const claudeFormat = this._formatMcpResult(result);
 
-      console.log(`✅ MCP工具执行成功: ${mcpCall.toolId}`);
+      if (claudeFormat.is_error) {
+        console.warn(`⚠️ MCP工具返回错误: ${mcpCall.toolId}`);
+      } else {
+        console.log(`✅ MCP工具执行成功: ${mcpCall.toolId}`);
+      }
       return claudeFormat;
     } catch (error) {
       console.error(`❌ MCP工具执行失败: ${mcpCall.toolId}`, error);
@@ -146,6 +249,45 @@ class MCPIntegration {
     }
   }
 
+  /**
+   * 依次执行Gemini返回的MCP函数调用（服务端工具循环使用）
+   * @param {Array} functionCalls - Gemini functionCall（{ name, args, id }）
+   * @returns {Promise<Array>} 按调用顺序的 { functionCall, isError, text }
+   */
+  async executeFunctionCalls(functionCalls) {
+    const results = [];
+
+    for (const functionCall of functionCalls) {
+      const mcpCall = this.claudeToMcpCall({ name: functionCall.name, input: functionCall.args });
+      if (!mcpCall) {
+        results.push({ functionCall, isError: true, text: `未找到MCP工具: ${functionCall.name}` });
+        continue;
+      }
+
+      const result = await this.executeMcpTool(mcpCall);
+      results.push({ functionCall, ...this._resultToText(result) });
+    }
+
+    return results;
+  }
+
+  /**
+   * 把 executeMcpTool 的结果转换为文本
+   */
+  _resultToText(result) {
+    const isError = result?.is_error === true;
+    const content = isError ? result.content : result;
+
+    const blocks = Array.isArray(content) ? content : [content];
+    const text = blocks
+      .map(block => {
+        if (typeof block === 'string') return block;
+        return typeof block?.text === 'string' ? block.text : JSON.stringify(block);
+      })
+      .join('\n');
+    return { isError, text };
+  }
+
   /**
    * 转换输入schema
    */
@@ -158,34 +300,13 @@ class MCPIntegration {
       };
     }
 
-    // 清理不兼容Gemini的字段
-    const cleanedSchema = JSON.parse(JSON.stringify(mcpSchema));
-
-    // 递归清理
-    const cleanSchema = (obj, depth = 0) => {
-      if (depth > 10) return obj; // 防止无限递归
-
-      if (Array.isArray(obj)) {
-        return obj.map(item => cleanSchema(item, depth + 1));
-      }
-
-      if (obj && typeof obj === 'object') {
-        const cleaned = {};
-        for (const [key, value] of Object.entries(obj)) {
-          // 跳过MCP特有但Claude/Gemini不支持的字段
-          if (['$schema', '$id', '$ref', 'additionalProperties'].includes(key)) {
-            continue;
-          }
-
-          cleaned[key] = cleanSchema(value, depth + 1);
-        }
-        return cleaned;
-      }
-
-      return obj;
-    };
+    // 转换为Gemini兼容的schema（内联$ref、处理anyOf/nullable等）
+    const { schema, lossy } = transpileSchema(mcpSchema);
+    if (lossy.length > 0) {
+      console.log(`🧹 MCP schema转换有 ${lossy.length} 处损失: ${lossy.map(item => item.path).join(', ')}`);
+    }
 
-    return cleanSchema(cleanedSchema);
+    return schema;
   }
 
   /**
@@ -200,6 +321,14 @@ class MCPIntegration {
     }
 
     if (typeof mcpResult === 'object' && mcpResult !== null) {
+      // tools/call 的工具错误通过 isError 返回，而不是 JSON-RPC 错误
+      if (mcpResult.isError === true) {
+        return {
+          is_error: true,
+          content: mcpResult.content || []
+        };
+      }
+
       if (mcpResult.content) {
         return mcpResult.content;
       }
@@ -264,9 +393,10 @@ class MCPIntegration {
       initialized: this.initialized,
       servers: this.mcpServers.length,
       tools: this.availableTools.size,
-      serverList: this.mcpServers.map(s => ({
+      serverList: this.getServers().map(s => ({
         name: s.name,
-        connected: s.transport && (s.transport.ws?.readyState === 1 || s.transport.process)
+        state: s.state,
+        connected: s.state === 'connected'
       }))
     };
   }
@@ -280,7 +410,8 @@ class MCPIntegration {
     await this.mcpClient.disconnect();
 
     this.mcpServers = [];
-    this.availableTools.clear();
+    this.serverStates.clear();
+    this.availableTools = new Map();
     this.initialized = false;
 
     console.log('✅ MCP集成已断开');
@@ -0,0 +1,386 @@
+/**
+ * OpenAI Compatibility Module
+ * Converts OpenAI Chat Completions traffic to and from the Claude format so
+ * that /v1/chat/completions runs through the same Claude → Gemini pipeline
+ *
+ * Key conversions:
+ * - OpenAI messages (system/developer/user/assistant/tool) → Claude system + messages
+ * - OpenAI tools / tool_choice / parallel_tool_calls → Claude tools / tool_choice
+ * - OpenAI response_format → Claude response_format
+ * - Claude message → chat.completion
+ * - Claude SSE events → chat.completion.chunk SSE events
+ */
+
+// Map Claude stop reason to OpenAI finish reason
+const FINISH_REASONS = {
+  'end_turn': 'stop',
+  'stop_sequence': 'stop',
+  'max_tokens': 'length',
+  'tool_use': 'tool_calls',
+  'refusal': 'content_filter'
+};
+
+// Thinking budgets used for reasoning_effort
+const REASONING_BUDGETS = {
+  'low': 1024,
+  'medium': 8192,
+  'high': 24576
+};
+
+/**
+ * Create an error that the route reports as invalid_request_error (400)
+ */
+function invalidRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.type = 'invalid_request_error';
+  return error;
+}
+
+/**
+ * Convert OpenAI message content to Claude content blocks
+ */
+function convertContent(content) {
+  if (content === null || content === undefined) {
+    return [];
+  }
+  if (typeof content === 'string') {
+    return content ? [{ type: 'text', text: content }] : [];
+  }
+  if (!Array.isArray(content)) {
+    throw invalidRequest('message content must be a string or an array of content parts');
+  }
+
+  return content.map(part => {
+    if (part.type === 'text') {
+      return { type: 'text', text: part.text };
+    }
+    if (part.type === 'image_url') {
+      const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+      const match = /^data:([^;]+);base64,(.*)$/s.exec(url || '');
+      if (!match) {
+        throw invalidRequest('Only base64 data URLs are supported for image_url content');
+      }
+      return {
+        type: 'image',
+        source: { type: 'base64', media_type: match[1], data: match[2] }
+      };
+    }
+    throw invalidRequest(`Unsupported content part type: ${part.type}`);
+  });
+}
+
+/**
+ * Parse tool call arguments, which OpenAI sends as a JSON string
+ */
+function parseArguments(args) {
+  if (!args) return {};
+  if (typeof args === 'object') return args;
+  try {
+    return JSON.parse(args);
+  } catch {
+    throw invalidRequest(`Tool call arguments are not valid JSON: ${String(args).substring(0, 100)}`);
+  }
+}
+
+/**
+ * Convert an OpenAI Chat Completions request to a Claude Messages request
+ * @param {Object} body - OpenAI request body
+ * @returns {Object} Claude API request object
+ * @throws {Error} With statusCode 400 when the request cannot be converted
+ */
+function openAIToClaudeRequest(body) {
+  if (!body || !Array.isArray(body.messages)) {
+    throw invalidRequest('messages is required and must be an array');
+  }
+
+  const system = [];
+  const messages = [];
+
+  const append = (role, blocks) => {
+    if (blocks.length === 0) return;
+    const last = messages[messages.length - 1];
+    if (last && last.role === role) {
+      last.content.push(...blocks);
+    } else {
+      messages.push({ role, content: blocks });
+    }
+  };
+
+  for (const message of body.messages) {
+    switch (message.role) {
+      case 'system':
+      case 'developer':
+        system.push(...convertContent(message.content).filter(block => block.type === 'text'));
+        break;
+
+      case 'user':
+        append('user', convertContent(message.content));
+        break;
+
+      case 'assistant': {
+        const blocks = convertContent(message.content);
+        for (const toolCall of message.tool_calls || []) {
+          blocks.push({
+            type: 'tool_use',
+            id: toolCall.id,
+            name: toolCall.function?.name,
+            input: parseArguments(toolCall.function?.arguments)
+          });
+        }
+        append('assistant', blocks);
+        break;
+      }
+
+      case 'tool': {
+        const content = typeof message.content === 'string'
+          ? message.content
+          : convertContent(message.content);
+        append('user', [{
+          type: 'tool_result',
+          tool_use_id: message.tool_call_id,
+          content
+        }]);
+        break;
+      }
+
+      default:
+        throw invalidRequest(`Unsupported message role: ${message.role}`);
+    }
+  }
+
+  const claudeRequest = {
+    model: body.model,
+    messages,
+    stream: body.stream === true
+  };
+
+  if (system.length > 0) {
+    claudeRequest.system = system;
+  }
+
+  const maxTokens = body.max_completion_tokens ?? body.max_tokens;
+  if (maxTokens !== undefined && maxTokens !== null) {
+    claudeRequest.max_tokens = maxTokens;
+  }
+  if (body.temperature !== undefined && body.temperature !== null) {
+    claudeRequest.temperature = body.temperature;
+  }
+  if (body.top_p !== undefined && body.top_p !== null) {
+    claudeRequest.top_p = body.top_p;
+  }
+  if (body.stop) {
+    claudeRequest.stop_sequences = Array.isArray(body.stop) ? body.stop : [body.stop];
+  }
+  if (body.n && body.n > 1) {
+    console.warn(`⚠️  n=${body.n} is not supported, returning a single choice`);
+  }
+
+  if (REASONING_BUDGETS[body.reasoning_effort]) {
+    claudeRequest.thinking = { type: 'enabled', budget_tokens: REASONING_BUDGETS[body.reasoning_effort] };
+  }
+
+  // Tools
+  if (Array.isArray(body.tools) && body.tools.length > 0) {
+    claudeRequest.tools = body.tools
+      .filter(tool => tool.type === 'function' && tool.function)
+      .map(({ function: fn }) => ({
+        name: fn.name,
+        description: fn.description || '',
+        input_schema: fn.parameters || { type: 'object', properties: {} }
+      }));
+  }
+
+  if (body.tool_choice) {
+    if (typeof body.tool_choice === 'string') {
+      const typeMap = { 'none': 'none', 'auto': 'auto', 'required': 'any' };
+      claudeRequest.tool_choice = { type: typeMap[body.tool_choice] || 'auto' };
+    } else if (body.tool_choice.function?.name) {
+      claudeRequest.tool_choice = { type: 'tool', name: body.tool_choice.function.name };
+    }
+  }
+  if (body.parallel_tool_calls === false) {
+    claudeRequest.tool_choice = { type: 'auto', ...claudeRequest.tool_choice, disable_parallel_tool_use: true };
+  }
+
+  // Structured output
+  if (body.response_format) {
+    if (body.response_format.type === 'json_object') {
+      claudeRequest.response_format = { type: 'json_object' };
+    } else if (body.response_format.type === 'json_schema') {
+      claudeRequest.response_format = {
+        type: 'json_schema',
+        schema: body.response_format.json_schema?.schema
+      };
+    }
+  }
+
+  return claudeRequest;
+}
+
+/**
+ * Build an OpenAI completion id from a Claude message id
+ */
+function toCompletionId(messageId) {
+  return `chatcmpl-${String(messageId).replace(/^msg_/, '')}`;
+}
+
+/**
+ * Convert Claude usage to OpenAI usage
+ */
+function convertUsage(usage = {}) {
+  // OpenAI prompt tokens include cached tokens, Claude input tokens do not
+  const cachedTokens = usage.cache_read_input_tokens || 0;
+  const promptTokens = (usage.input_tokens || 0) + cachedTokens + (usage.cache_creation_input_tokens || 0);
+  const completionTokens = usage.output_tokens || 0;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    prompt_tokens_details: { cached_tokens: cachedTokens }
+  };
+}
+
+/**
+ * Convert a Claude Messages response to an OpenAI chat.completion
+ * @param {Object} claudeResponse - Claude API response object
+ * @returns {Object} OpenAI chat.completion object
+ */
+function claudeToOpenAIResponse(claudeResponse) {
+  const text = [];
+  const reasoning = [];
+  const toolCalls = [];
+
+  for (const block of claudeResponse.content || []) {
+    if (block.type === 'text') {
+      text.push(block.text);
+    } else if (block.type === 'thinking') {
+      reasoning.push(block.thinking);
+    } else if (block.type === 'tool_use') {
+      toolCalls.push({
+        id: block.id,
+        type: 'function',
+        function: {
+          name: block.name,
+          arguments: JSON.stringify(block.input || {})
+        }
+      });
+    }
+  }
+
+  const message = {
+    role: 'assistant',
+    content: text.length > 0 ? text.join('') : null
+  };
+  if (reasoning.length > 0) {
+    message.reasoning_content = reasoning.join('');
+  }
+  if (toolCalls.length > 0) {
+    message.tool_calls = toolCalls;
+  }
+
+  return {
+    id: toCompletionId(claudeResponse.id),
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: claudeResponse.model,
+    choices: [{
+      index: 0,
+      message,
+      finish_reason: FINISH_REASONS[claudeResponse.stop_reason] || 'stop'
+    }],
+    usage: convertUsage(claudeResponse.usage)
+  };
+}
+
+// Convert Claude SSE events (from ClaudeStreamConverter) to OpenAI chunks
+class OpenAIStreamConverter {
+  constructor(model, messageId, options = {}) {
+    this.model = model;
+    this.id = toCompletionId(messageId);
+    this.created = Math.floor(Date.now() / 1000);
+    this.includeUsage = options.includeUsage === true;
+    this.toolIndexes = new Map(); // Claude block index → OpenAI tool call index
+    this.usage = {};
+  }
+
+  _chunk(delta, finishReason = null) {
+    return {
+      id: this.id,
+      object: 'chat.completion.chunk',
+      created: this.created,
+      model: this.model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }]
+    };
+  }
+
+  /**
+   * Convert one Claude SSE event to zero or more OpenAI chunks
+   * @param {string} event - Claude event name
+   * @param {Object} data - Claude event payload
+   * @returns {Array} OpenAI chunk objects
+   */
+  convertEvent(event, data) {
+    switch (event) {
+      case 'message_start':
+        this.usage = { ...data.message.usage };
+        return [this._chunk({ role: 'assistant', content: '' })];
+
+      case 'content_block_start':
+        if (data.content_block.type === 'tool_use') {
+          const toolIndex = this.toolIndexes.size;
+          this.toolIndexes.set(data.index, toolIndex);
+          return [this._chunk({
+            tool_calls: [{
+              index: toolIndex,
+              id: data.content_block.id,
+              type: 'function',
+              function: { name: data.content_block.name, arguments: '' }
+            }]
+          })];
+        }
+        return [];
+
+      case 'content_block_delta':
+        if (data.delta.type === 'text_delta') {
+          return [this._chunk({ content: data.delta.text })];
+        }
+        if (data.delta.type === 'thinking_delta') {
+          return [this._chunk({ reasoning_content: data.delta.thinking })];
+        }
+        if (data.delta.type === 'input_json_delta' && this.toolIndexes.has(data.index)) {
+          return [this._chunk({
+            tool_calls: [{
+              index: this.toolIndexes.get(data.index),
+              function: { arguments: data.delta.partial_json }
+            }]
+          })];
+        }
+        return [];
+
+      case 'message_delta': {
+        this.usage = { ...this.usage, ...data.usage };
+        const chunks = [this._chunk({}, FINISH_REASONS[data.delta.stop_reason] || 'stop')];
+        if (this.includeUsage) {
+          chunks.push({ ...this._chunk({}), choices: [], usage: convertUsage(this.usage) });
+        }
+        return chunks;
+      }
+
+      default:
+        return [];
+    }
+  }
+}
+
+// Format OpenAI SSE event
+function formatOpenAISSE(data) {
+  return `data: ${JSON.stringify(data)}\n\n`;
+}
+
+module.exports = {
+  openAIToClaudeRequest,
+  claudeToOpenAIResponse,
+  OpenAIStreamConverter,
+  formatOpenAISSE
+};
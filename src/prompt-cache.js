@@ -0,0 +1,236 @@
+/**
+ * Prompt Cache Module
+ * Maps Claude cache_control prompt caching onto Gemini cachedContents
+ *
+ * The prefix up to a cache_control breakpoint (tools, system instruction,
+ * tool config and the leading contents) is stored once as a cachedContent and
+ * later requests with the same prefix only send the remaining contents.
+ * Entries are keyed by a hash of the API key, model and prefix, expire with the
+ * breakpoint TTL (5 minutes, or 1 hour for ttl: "1h") and are refreshed when
+ * reused, like Claude's ephemeral cache.
+ *
+ * Caching is opt-in (promptCaching.enabled). Caches are created in the
+ * background, so a miss never delays the request that caused it.
+ */
+
+const crypto = require('crypto');
+const { getCacheBreakpoints, resolveModel, estimateTokens } = require('./proxy');
+
+const DEFAULT_MIN_TOKENS = 1024; // Gemini rejects smaller cachedContents
+const MAX_ENTRIES = 200;
+const EXPIRY_MARGIN_MS = 5000;   // Do not use a cache that is about to expire
+
+class PromptCache {
+  constructor() {
+    this.entries = new Map(); // key → { name, model, apiKey, expiresAt, ttlSeconds } or { failedUntil }
+    this.pending = new Map(); // key → creation promise, shared by concurrent requests
+    this.stats = { created: 0, hits: 0, failures: 0, invalidated: 0 };
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  // Cached part of a request; Gemini keeps these fields in the cachedContent
+  _buildPrefix(geminiRequest, contentCount) {
+    const prefix = { contents: geminiRequest.contents.slice(0, contentCount) };
+    if (geminiRequest.system_instruction) prefix.system_instruction = geminiRequest.system_instruction;
+    if (geminiRequest.tools) prefix.tools = geminiRequest.tools;
+    if (geminiRequest.tool_config) prefix.tool_config = geminiRequest.tool_config;
+    return prefix;
+  }
+
+  // cachedContents belong to the project of the key that created them
+  _key(config, apiKey, model, prefix) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([config.geminiApiUrl, apiKey, model, prefix]))
+      .digest('hex');
+  }
+
+  // Request that references the cachedContent instead of repeating the prefix
+  _applyCache(geminiRequest, contentCount, name) {
+    const { system_instruction, tools, tool_config, contents, ...rest } = geminiRequest;
+    return { ...rest, contents: contents.slice(contentCount), cachedContent: name };
+  }
+
+  /**
+   * Rewrite a converted request to use a Gemini cachedContent
+   * The longest breakpoint with a live cache is reused. Otherwise a cache is
+   * created in the background for the longest breakpoint and the request is
+   * sent unchanged; later requests with the same prefix then use it. Without
+   * breakpoints, with caching disabled or after a failed creation, the request
+   * is returned unchanged.
+   * @param {Object} geminiRequest - Output of claudeToGeminiRequest
+   * @param {Object} config - Configuration object
+   * @param {string} requestedModel - Model name from the Claude request
+   * @param {string} apiKey - Gemini API key the request will be sent with
+   * @returns {Promise<Object>} { request, cacheCreated, apiKey }, cacheCreated
+   *   is set for the first request that uses a new cache
+   */
+  async prepare(geminiRequest, config, requestedModel, apiKey) {
+    const unchanged = { request: geminiRequest, cacheCreated: false, apiKey };
+    const info = getCacheBreakpoints(geminiRequest);
+    if (!info || config.promptCaching?.enabled !== true) {
+      return unchanged;
+    }
+
+    // At least one content has to follow the cached prefix
+    const model = resolveModel(config, requestedModel);
+    const candidates = info.breakpoints
+      .filter(count => count < geminiRequest.contents.length)
+      .reverse()
+      .map(count => {
+        const prefix = this._buildPrefix(geminiRequest, count);
+        return { count, prefix, key: this._key(config, apiKey, model, prefix) };
+      });
+
+    for (const { count, key } of candidates) {
+      const entry = this.entries.get(key);
+      if (entry?.name && entry.expiresAt > Date.now() + EXPIRY_MARGIN_MS) {
+        this.stats.hits++;
+        console.log(`💾 Prompt cache hit: ${entry.name} (${count} content(s) cached)`);
+        this._refresh(entry, config);
+        const cacheCreated = !entry.used;
+        entry.used = true;
+        return { request: this._applyCache(geminiRequest, count, entry.name), cacheCreated, apiKey };
+      }
+    }
+
+    const longest = candidates[0];
+    if (!longest || this.pending.has(longest.key)) {
+      return unchanged;
+    }
+
+    const failed = this.entries.get(longest.key);
+    if (failed?.failedUntil > Date.now()) {
+      return unchanged;
+    }
+
+    const minTokens = config.promptCaching?.minTokens ?? DEFAULT_MIN_TOKENS;
+    const estimated = estimateTokens(longest.prefix);
+    if (estimated < minTokens) {
+      console.log(`💾 Prompt prefix too small to cache (~${estimated} < ${minTokens} tokens)`);
+      return unchanged;
+    }
+
+    const creation = this._create(config, apiKey, model, longest, info.ttlSeconds)
+      .finally(() => this.pending.delete(longest.key));
+    this.pending.set(longest.key, creation);
+    return unchanged;
+  }
+
+  async _create(config, apiKey, model, { key, prefix }, ttlSeconds) {
+    try {
+      const response = await fetch(`${config.geminiApiUrl}/cachedContents?key=${apiKey}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-goog-api-client': 'genai-js/0.21.0'
+        },
+        body: JSON.stringify({
+          model: `models/${model}`,
+          displayName: 'gemini-claude-proxy',
+          ttl: `${ttlSeconds}s`,
+          ...prefix
+        }),
+        signal: AbortSignal.timeout(30000)
+      });
+
+      if (!response.ok) {
+        throw new Error(`[${response.status}] ${(await response.text()).substring(0, 300)}`);
+      }
+
+      const data = await response.json();
+      const entry = {
+        name: data.name,
+        model,
+        apiKey,
+        ttlSeconds,
+        used: false,
+        expiresAt: Date.parse(data.expireTime) || Date.now() + ttlSeconds * 1000
+      };
+      this.entries.set(key, entry);
+      this.stats.created++;
+      console.log(`💾 Prompt cache created: ${entry.name} (${data.usageMetadata?.totalTokenCount ?? '?'} tokens, ttl ${ttlSeconds}s)`);
+
+      this._evict(config);
+      return entry;
+    } catch (error) {
+      // Do not retry the same prefix until it would have expired
+      this.entries.set(key, { failedUntil: Date.now() + ttlSeconds * 1000 });
+      this.stats.failures++;
+      console.warn(`⚠️  Prompt cache creation failed, sending full prompt: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Extend the TTL of a reused cache once half of it has elapsed
+  _refresh(entry, config) {
+    const remaining = entry.expiresAt - Date.now();
+    if (remaining > entry.ttlSeconds * 500) return;
+
+    entry.expiresAt = Date.now() + entry.ttlSeconds * 1000;
+    fetch(`${config.geminiApiUrl}/${entry.name}?key=${entry.apiKey}&updateMask=ttl`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ttl: `${entry.ttlSeconds}s` }),
+      signal: AbortSignal.timeout(10000)
+    }).then(response => {
+      if (!response.ok) {
+        console.warn(`⚠️  Prompt cache refresh failed [${response.status}]: ${entry.name}`);
+        entry.expiresAt = Date.now() + remaining;
+      }
+    }).catch(error => {
+      console.warn(`⚠️  Prompt cache refresh failed: ${error.message}`);
+      entry.expiresAt = Date.now() + remaining;
+    });
+  }
+
+  // Delete the oldest caches upstream when there are too many
+  _evict(config) {
+    const live = Array.from(this.entries.entries()).filter(([, entry]) => entry.name);
+    for (const [key, entry] of live.slice(0, Math.max(0, live.length - MAX_ENTRIES))) {
+      this.entries.delete(key);
+      fetch(`${config.geminiApiUrl}/${entry.name}?key=${entry.apiKey}`, {
+        method: 'DELETE',
+        signal: AbortSignal.timeout(10000)
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Forget a cachedContent that the upstream no longer accepts
+   * @param {string} name - cachedContents/… resource name
+   */
+  invalidate(name) {
+    for (const [key, entry] of this.entries) {
+      if (entry.name === name) {
+        this.entries.delete(key);
+        this.stats.invalidated++;
+      }
+    }
+  }
+
+  // Drop expired entries and expired failure markers
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if ((entry.name && entry.expiresAt <= now) || (!entry.name && entry.failedUntil <= now)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  // Forget all entries (e.g. after the upstream URL or key changed)
+  clear() {
+    this.entries.clear();
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      active: Array.from(this.entries.values()).filter(entry => entry.name).length
+    };
+  }
+}
+
+module.exports = { PromptCache };
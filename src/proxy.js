@@ -6,16 +6,23 @@
  * - Claude messages → Gemini contents (role mapping: assistant→model, user→user)
  * - Claude system → Gemini system_instruction
  * - Claude parameters → Gemini generationConfig
- * - Gemini candidates → Claude content blocks
+ * - Claude thinking → Gemini thinkingConfig
+ * - Gemini candidates → Claude content blocks (thought parts → thinking blocks)
  * - Gemini finishReason → Claude stop_reason
  * - SSE streaming format conversion
  */
 
+const crypto = require('crypto');
+
 // Import MCP integration
 const { MCPIntegration } = require('./mcp-integration');
+const { transpileSchema } = require('./schema-transpiler');
+const { repairFunctionCalls } = require('./tool-validation');
 
-// Global MCP integration instance
+// Global MCP integration instance, set once initialize() has resolved
 let mcpIntegration = null;
+// Pending initialization shared by concurrent initializeMCP() calls
+let mcpInitialization = null;
 
 // Safety settings for Gemini API - disable all content filtering
 const safetySettings = [
@@ -29,34 +36,287 @@ const safetySettings = [
   threshold: 'BLOCK_NONE'
 }));
 
+/**
+ * Convert a model alias glob pattern (e.g. "claude-*-haiku-*") to a RegExp
+ * @param {string} pattern - Glob pattern where * matches any run of characters and ? one character
+ * @returns {RegExp} Case-insensitive anchored expression
+ */
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+}
+
+/**
+ * Resolve the Gemini model for a requested model name
+ * The first alias in config.modelAliases whose pattern matches wins. Claude
+ * model names without a matching alias fall back to the default model, since
+ * Gemini would answer them with a 404.
+ * @param {Object} config - Configuration object with modelAliases and defaultGeminiModel
+ * @param {string} requestedModel - Model name from the request (optional)
+ * @returns {string} Gemini model name
+ */
+function resolveModel(config, requestedModel) {
+  const defaultModel = config.defaultGeminiModel || 'gemini-2.5-flash';
+  if (!requestedModel) {
+    return defaultModel;
+  }
+
+  for (const alias of config.modelAliases || []) {
+    if (alias.pattern && alias.model && globToRegExp(alias.pattern).test(requestedModel)) {
+      return alias.model;
+    }
+  }
+
+  return requestedModel.startsWith('claude-') ? defaultModel : requestedModel;
+}
+
+/**
+ * Get the Gemini models to try for a request, in order
+ * The resolved model comes first, followed by its fallbacks from
+ * config.modelFallbacks, which are used when it is overloaded or out of quota.
+ * @param {Object} config - Configuration object with modelFallbacks
+ * @param {string} requestedModel - Model name from the request (optional)
+ * @returns {string[]} Gemini model names without duplicates
+ */
+function getModelChain(config, requestedModel) {
+  const model = resolveModel(config, requestedModel);
+  const entry = (config.modelFallbacks || []).find(item => item.model === model);
+  return [model, ...(entry?.fallbacks || [])]
+    .filter((name, index, list) => name && list.indexOf(name) === index);
+}
+
 /**
  * Build complete Gemini API endpoint URL with API key
  * @param {Object} config - Configuration object with geminiApiUrl, defaultGeminiModel, and geminiApiKey
  * @param {boolean} stream - Whether this is a streaming request
  * @param {string} requestedModel - Model name from the request (optional)
+ * @param {string} method - Model method to call instead of (stream)GenerateContent (optional)
+ * @param {string} apiKey - Key from the key pool (optional, defaults to config.geminiApiKey)
  * @returns {string} Complete API endpoint URL with key parameter
  */
-function buildGeminiUrl(config, stream, requestedModel) {
-  const { geminiApiUrl, defaultGeminiModel, geminiApiKey } = config;
-  const modelName = requestedModel || defaultGeminiModel || 'gemini-2.5-flash';
-
-  console.log(`🎯 Using Gemini model: ${modelName}${requestedModel ? ' (from request)' : ' (default)'}`);
+function buildGeminiUrl(config, stream, requestedModel, method, apiKey = config.geminiApiKey) {
+  const { geminiApiUrl } = config;
+  const modelName = resolveModel(config, requestedModel);
+
+  if (!requestedModel) {
+    console.log(`🎯 Using Gemini model: ${modelName} (default)`);
+  } else if (modelName !== requestedModel) {
+    console.log(`🎯 Using Gemini model: ${modelName} (alias of ${requestedModel})`);
+  } else {
+    console.log(`🎯 Using Gemini model: ${modelName} (from request)`);
+  }
 
   let url = `${geminiApiUrl}/models/${modelName}:`;
-  url += stream ? 'streamGenerateContent' : 'generateContent';
-  url += `?key=${geminiApiKey}`;
+  url += method || (stream ? 'streamGenerateContent' : 'generateContent');
+  url += `?key=${apiKey}`;
   if (stream) {
     url += '&alt=sse';
   }
   return url;
 }
 
+// Prefix of tool_use ids that carry the Gemini functionCall id
+const GEMINI_TOOL_ID_PREFIX = 'toolu_gm_';
+// Prefix of tool_use ids that also carry the functionCall's thoughtSignature
+const SIGNED_TOOL_ID_PREFIX = 'toolu_sig_';
+
+// Signature Gemini documents for functionCalls whose real signature is not
+// available (e.g. history produced elsewhere); it skips the validation
+const DUMMY_THOUGHT_SIGNATURE = 'skip_thought_signature_validator';
+
+/**
+ * Build a stable Claude tool_use id for a Gemini functionCall
+ * When Gemini supplies a call id it is encoded into the tool_use id so it can
+ * be sent back on the matching functionResponse; otherwise the id is derived
+ * from the message id and block position so it never changes for a response.
+ * Thinking models reject follow-up turns whose functionCalls lack the original
+ * thoughtSignature, so it is encoded into the id as well and comes back with
+ * the tool_use in the client's history.
+ * @param {Object} functionCall - Gemini functionCall part
+ * @param {string} messageId - Claude message id the block belongs to
+ * @param {number} index - Content block index within the message
+ * @param {string} thoughtSignature - thoughtSignature of the part, if any
+ * @returns {string} Claude tool_use id
+ */
+function toToolUseId(functionCall, messageId, index, thoughtSignature) {
+  let id;
+  if (functionCall.id) {
+    id = GEMINI_TOOL_ID_PREFIX + Buffer.from(String(functionCall.id)).toString('base64url');
+  } else {
+    const digest = crypto.createHash('sha256')
+      .update(`${messageId}:${index}:${functionCall.name}`)
+      .digest('hex');
+    id = `toolu_${digest.substring(0, 24)}`;
+  }
+
+  if (thoughtSignature) {
+    id = SIGNED_TOOL_ID_PREFIX + Buffer.from(JSON.stringify([id, thoughtSignature])).toString('base64url');
+  }
+  return id;
+}
+
+/**
+ * Recover the Gemini functionCall id and thoughtSignature from a Claude tool_use id
+ * @param {string} toolUseId - Claude tool_use id
+ * @returns {Object} { callId, thoughtSignature }, null for what the id does not carry
+ */
+function parseToolUseId(toolUseId) {
+  let id = toolUseId;
+  let thoughtSignature = null;
+
+  if (typeof id === 'string' && id.startsWith(SIGNED_TOOL_ID_PREFIX)) {
+    try {
+      const decoded = JSON.parse(Buffer.from(id.substring(SIGNED_TOOL_ID_PREFIX.length), 'base64url').toString());
+      if (Array.isArray(decoded) && typeof decoded[0] === 'string' && typeof decoded[1] === 'string') {
+        [id, thoughtSignature] = decoded;
+      }
+    } catch {
+      // Not an id produced by toToolUseId
+    }
+  }
+
+  const callId = typeof id === 'string' && id.startsWith(GEMINI_TOOL_ID_PREFIX)
+    ? Buffer.from(id.substring(GEMINI_TOOL_ID_PREFIX.length), 'base64url').toString()
+    : null;
+  return { callId, thoughtSignature };
+}
+
+/**
+ * Whether a functionCall targets an MCP tool that the proxy executes itself
+ * Client tools with the same name take precedence.
+ * @param {Object} functionCall - Gemini functionCall
+ * @param {Object} options - { executeMcpTools, tools (client tools) }
+ */
+function isServerMcpCall(functionCall, options = {}) {
+  return options.executeMcpTools === true &&
+    !(options.tools || []).some(tool => tool.name === functionCall.name) &&
+    Boolean(mcpIntegration?.isMcpTool(functionCall.name));
+}
+
+/**
+ * Build the mcp_tool_use block shown to the client for a server-side MCP call
+ * @param {Object} functionCall - Gemini functionCall
+ * @param {string} id - Block id
+ * @returns {Object} { type: 'mcp_tool_use', id, name, server_name, input }
+ */
+function toMcpToolUseBlock(functionCall, id) {
+  const mcpCall = mcpIntegration?.claudeToMcpCall({ name: functionCall.name, input: functionCall.args });
+  const separator = mcpCall ? mcpCall.toolId.indexOf(':') : -1;
+  return {
+    type: 'mcp_tool_use',
+    id,
+    name: separator === -1 ? functionCall.name : mcpCall.toolId.substring(separator + 1),
+    server_name: separator === -1 ? '' : mcpCall.toolId.substring(0, separator),
+    input: functionCall.args || {}
+  };
+}
+
+/**
+ * Add two Claude usage objects (usage of a multi-step response)
+ */
+function sumUsage(a, b) {
+  if (!a) return { ...b };
+  return {
+    input_tokens: a.input_tokens + b.input_tokens,
+    output_tokens: a.output_tokens + b.output_tokens,
+    cache_creation_input_tokens: a.cache_creation_input_tokens + b.cache_creation_input_tokens,
+    cache_read_input_tokens: a.cache_read_input_tokens + b.cache_read_input_tokens
+  };
+}
+
+/**
+ * Translate a JSON Schema for Gemini and log any lossy conversions
+ * @param {Object} schema - Original JSON Schema
+ * @param {string} label - Name used in log output (tool name, etc.)
+ * @returns {Object} Gemini-compatible schema
+ */
+function convertSchema(schema, label) {
+  const { schema: converted, lossy } = transpileSchema(schema);
+
+  if (lossy.length > 0) {
+    console.log(`🧹 ${label}: ${lossy.length} lossy schema conversion(s)`);
+    lossy.slice(0, 10).forEach(({ path, keyword, detail }) =>
+      console.log(`   - ${path} [${keyword}] ${detail}`)
+    );
+    if (lossy.length > 10) {
+      console.log(`   ... and ${lossy.length - 10} more`);
+    }
+  }
+
+  return converted;
+}
+
+/**
+ * Give every functionCall in a model turn a functionResponse in the following
+ * user turn. Gemini rejects histories where the counts differ, which happens
+ * when a client drops or interrupts a tool call.
+ * @param {Array} contents - Gemini contents, modified in place
+ */
+function balanceFunctionResponses(contents) {
+  for (let i = 0; i < contents.length - 1; i++) {
+    const calls = contents[i].role === 'model'
+      ? contents[i].parts.filter(part => part.functionCall).map(part => part.functionCall)
+      : [];
+    if (calls.length === 0) continue;
+
+    const next = contents[i + 1];
+    if (next.role !== 'user') continue;
+
+    const responses = next.parts.filter(part => part.functionResponse).map(part => part.functionResponse);
+    const missing = [];
+    for (const call of calls) {
+      const matchIndex = responses.findIndex(response =>
+        call.id ? response.id === call.id : response.name === call.name
+      );
+      if (matchIndex === -1) {
+        missing.push(call);
+      } else {
+        responses.splice(matchIndex, 1);
+      }
+    }
+
+    if (missing.length > 0) {
+      console.warn(`⚠️  ${missing.length} function call(s) without a result, adding placeholder response(s)`);
+      const placeholders = missing.map(call => ({
+        functionResponse: {
+          name: call.name,
+          response: { error: true, error_message: 'No result was provided for this call' },
+          ...(call.id ? { id: call.id } : {})
+        }
+      }));
+      const firstOther = next.parts.findIndex(part => !part.functionResponse);
+      next.parts.splice(firstOther === -1 ? next.parts.length : firstOther, 0, ...placeholders);
+    }
+  }
+}
+
+// Prompt-caching breakpoints of converted requests, see getCacheBreakpoints()
+const cacheBreakpoints = new WeakMap();
+
+/**
+ * Get the cache_control breakpoints recorded while converting a request
+ * Each breakpoint is the number of leading Gemini contents covered by the
+ * cached prefix (0 when only tools / system are marked). The tools, system
+ * instruction and tool config are always part of the prefix because Gemini
+ * does not accept them next to a cachedContent.
+ * @param {Object} geminiRequest - Output of claudeToGeminiRequest
+ * @returns {Object|null} { breakpoints: number[] (ascending), ttlSeconds }
+ */
+function getCacheBreakpoints(geminiRequest) {
+  return cacheBreakpoints.get(geminiRequest) || null;
+}
+
 /**
  * Convert Claude API request to Gemini API format
  * @param {Object} claudeRequest - Claude API request object
+ * @param {Object} options - Conversion options (config.geminiMcpSettings)
+ * @param {boolean} options.stripToolsOnFunctionResponse - Drop tool declarations
+ *   when the history contains function responses (for upstreams that reject them)
+ * @param {boolean} options.includeMcpTools - Declare the tools of the connected
+ *   MCP servers (default true); false for requests that do not run the MCP tool loop
  * @returns {Object} Gemini API request object
  */
-function claudeToGeminiRequest(claudeRequest) {
+function claudeToGeminiRequest(claudeRequest, options = {}) {
   // Log request overview
   console.log('📨 Converting Claude request to Gemini format');
   console.log(`  Model: ${claudeRequest.model || 'default'}`);
@@ -71,6 +331,19 @@ function claudeToGeminiRequest(claudeRequest) {
     generationConfig: {}
   };
 
+  // Prompt caching: collect cache_control markers (tools → system → messages)
+  const cacheMarkers = [];
+  const cachePoints = [];
+  const markPrefix = (blocks, contentCount) => {
+    const marked = (Array.isArray(blocks) ? blocks : []).filter(block => block && block.cache_control);
+    if (marked.length > 0) {
+      cacheMarkers.push(...marked.map(block => block.cache_control));
+      cachePoints.push(contentCount);
+    }
+  };
+  markPrefix(claudeRequest.tools, 0);
+  markPrefix(claudeRequest.system, 0);
+
   // Handle system instruction
   if (claudeRequest.system) {
     let systemText = '';
@@ -105,6 +378,22 @@ function claudeToGeminiRequest(claudeRequest) {
     });
   }
 
+  // Index every tool_use in the history so tool_results can be matched by id
+  // (order is kept so parallel results can follow the order of their calls)
+  const toolUses = new Map();
+  for (const msg of claudeRequest.messages || []) {
+    if (!Array.isArray(msg.content)) continue;
+    for (const block of msg.content) {
+      if (block.type === 'tool_use') {
+        toolUses.set(block.id, {
+          name: block.name,
+          callId: parseToolUseId(block.id).callId,
+          order: toolUses.size
+        });
+      }
+    }
+  }
+
   // Convert messages - merge consecutive messages with same role
   for (const msg of claudeRequest.messages || []) {
     const role = msg.role === 'assistant' ? 'model' : 'user';
@@ -114,8 +403,21 @@ function claudeToGeminiRequest(claudeRequest) {
       parts.push({ text: msg.content });
     } else if (Array.isArray(msg.content)) {
       for (const block of msg.content) {
-        if (block.type === 'text') {
+        if (block.type === 'thinking' || block.type === 'redacted_thinking') {
+          // Gemini does not accept prior thoughts as input, so reasoning
+          // from earlier assistant turns is dropped from the history
+          continue;
+        } else if (block.type === 'text') {
           parts.push({ text: block.text });
+        } else if (block.type === 'mcp_tool_use') {
+          // MCP calls the proxy already executed are replayed as text, since
+          // their results live in the same assistant turn
+          parts.push({ text: `[MCP tool call ${block.server_name}:${block.name}] ${JSON.stringify(block.input || {})}` });
+        } else if (block.type === 'mcp_tool_result') {
+          const resultText = Array.isArray(block.content)
+            ? block.content.map(item => item.text ?? JSON.stringify(item)).join('\n')
+            : String(block.content ?? '');
+          parts.push({ text: `[MCP tool result${block.is_error ? ' (error)' : ''}]\n${resultText}` });
         } else if (block.type === 'image') {
           parts.push({
             inlineData: {
@@ -125,31 +427,23 @@ function claudeToGeminiRequest(claudeRequest) {
           });
         } else if (block.type === 'tool_result') {
           // Convert Claude tool_result to Gemini functionResponse
-          // Find the corresponding tool_use from previous messages to get the function name
-          let functionName = null;
-
-          // Search backwards through messages to find the tool_use with matching ID
-          for (let i = claudeRequest.messages.length - 1; i >= 0; i--) {
-            const prevMsg = claudeRequest.messages[i];
-            if (Array.isArray(prevMsg.content)) {
-              for (const prevBlock of prevMsg.content) {
-                if (prevBlock.type === 'tool_use' && prevBlock.id === block.tool_use_id) {
-                  functionName = prevBlock.name;
-                  break;
-                }
-              }
-            }
-            if (functionName) break;
+          // The function name comes from the tool_use with the matching id
+          const toolUse = toolUses.get(block.tool_use_id);
+
+          if (!toolUse) {
+            // Orphaned result: there is no call to attach it to, so pass it on
+            // as plain text instead of inventing a function name
+            console.warn(`⚠️  Orphaned tool_result: no tool_use found for ${block.tool_use_id}`);
+            const resultText = typeof block.content === 'string'
+              ? block.content
+              : JSON.stringify(block.content);
+            parts.push({
+              text: `[Result of unknown tool call ${block.tool_use_id}${block.is_error ? ' (error)' : ''}]\n${resultText}`
+            });
+            continue;
           }
 
-          // If function name not found, this is a critical error
-          if (!functionName) {
-            console.error(`❌ CRITICAL: Could not find tool_use for tool_result`);
-            console.error(`   tool_use_id: ${block.tool_use_id}`);
-            console.error(`   This will cause Gemini to reject the request`);
-            // Use tool_use_id as last resort, but log the error
-            functionName = block.tool_use_id;
-          }
+          const functionName = toolUse.name;
 
           // Prepare response object - MUST be an object, not array or primitive
           let response;
@@ -177,12 +471,14 @@ function claudeToGeminiRequest(claudeRequest) {
             console.warn(`   Error: ${response.error_message.substring(0, 200)}${response.error_message.length > 200 ? '...' : ''}`);
           }
 
-          parts.push({
-            functionResponse: {
-              name: functionName,
-              response: response
-            }
-          });
+          const functionResponse = {
+            name: functionName,
+            response: response
+          };
+          if (toolUse.callId) {
+            functionResponse.id = toolUse.callId;
+          }
+          parts.push({ functionResponse, callOrder: toolUse.order });
 
           // Log successful conversion
           if (!block.is_error) {
@@ -191,48 +487,75 @@ function claudeToGeminiRequest(claudeRequest) {
               : JSON.stringify(block.content).length;
             console.log(`🔧 Converted tool_result: ${block.tool_use_id} → ${functionName} (${contentSize} bytes)`);
           }
-
-          // Warn if function name wasn't found
-          if (functionName === block.tool_use_id) {
-            console.warn(`⚠️  Could not find function name for tool_use_id: ${block.tool_use_id}`);
-            console.warn(`   Using tool_use_id as fallback function name`);
-          }
         } else if (block.type === 'tool_use') {
+          // Handle tool_use in assistant messages (for context)
+          // Gemini expects functionCall format, with the original call id if known
+          const functionCall = {
+            name: block.name,
+            args: block.input || {}
+          };
+          const { callId, thoughtSignature } = parseToolUseId(block.id);
+          if (callId) {
+            functionCall.id = callId;
+          }
+
           // Check if this is an MCP tool call
           if (mcpIntegration && mcpIntegration.isMcpTool(block.name)) {
-            // Handle MCP tool use - defer execution
-            console.log(`🔧 Detected MCP tool use: ${block.name}`);
-            // For now, just convert to Gemini format
             // Actual execution will be handled separately
-            parts.push({
-              functionCall: {
-                name: block.name,
-                args: block.input || {}
-              }
-            });
-          } else {
-            // Handle native tool_use in assistant messages (for context)
-            // Gemini expects functionCall format
-            parts.push({
-              functionCall: {
-                name: block.name,
-                args: block.input || {}
-              }
-            });
+            console.log(`🔧 Detected MCP tool use: ${block.name}`);
           }
+
+          parts.push(thoughtSignature ? { functionCall, thoughtSignature } : { functionCall });
         }
       }
     }
 
+    // The first functionCall of a model turn must carry a thoughtSignature on
+    // thinking models; calls whose id carries none (ids from older proxy
+    // versions, history from other backends) get the documented dummy
+    const functionCalls = parts.filter(part => part.functionCall);
+    if (role === 'model' && functionCalls.length > 0 && !functionCalls.some(part => part.thoughtSignature)) {
+      functionCalls[0].thoughtSignature = DUMMY_THOUGHT_SIGNATURE;
+    }
+
+    // Gemini matches parallel function responses to calls by position when no
+    // call id is available, so responses follow the order of their calls
+    const responseParts = parts
+      .filter(part => part.functionResponse)
+      .sort((a, b) => a.callOrder - b.callOrder);
+    if (responseParts.length > 0) {
+      const otherParts = parts.filter(part => !part.functionResponse);
+      parts.length = 0;
+      parts.push(...responseParts.map(({ functionResponse }) => ({ functionResponse })), ...otherParts);
+    }
+
     // Check if we should merge with previous message
     const lastContent = geminiRequest.contents[geminiRequest.contents.length - 1];
     if (lastContent && lastContent.role === role) {
       // Merge with previous message of same role
       lastContent.parts.push(...parts);
+
+      // A breakpoint that ended on the merged content no longer covers it
+      const pointIndex = cachePoints.indexOf(geminiRequest.contents.length);
+      if (pointIndex !== -1) {
+        cachePoints[pointIndex]--;
+      }
     } else {
       // Add as new message
       geminiRequest.contents.push({ role, parts });
     }
+
+    markPrefix(msg.content, geminiRequest.contents.length);
+  }
+
+  balanceFunctionResponses(geminiRequest.contents);
+
+  if (cachePoints.length > 0) {
+    cacheBreakpoints.set(geminiRequest, {
+      breakpoints: [...new Set(cachePoints)].sort((a, b) => a - b),
+      ttlSeconds: cacheMarkers.some(marker => marker.ttl === '1h') ? 3600 : 300
+    });
+    console.log(`💾 Cache breakpoints: ${cachePoints.length} (contents: ${[...new Set(cachePoints)].join(', ')})`);
   }
 
   // Map generation parameters
@@ -263,13 +586,33 @@ function claudeToGeminiRequest(claudeRequest) {
   if (claudeRequest.top_k !== undefined) {
     geminiRequest.generationConfig.topK = claudeRequest.top_k;
   }
-  if (claudeRequest.stop_sequences) {
-    geminiRequest.generationConfig.stopSequences = claudeRequest.stop_sequences;
+  // stop_sequences are not forwarded: Gemini strips the matched sequence and
+  // reports a plain STOP, so the proxy matches them itself to be able to
+  // return stop_reason "stop_sequence" (see findStopSequence). Such requests
+  // are streamed from Gemini, which is cancelled at the first match (see
+  // collectGeminiStream for non-streaming requests).
+
+  // Handle extended thinking
+  // Claude: thinking = { type: "enabled", budget_tokens: N } | { type: "disabled" }
+  // Gemini: generationConfig.thinkingConfig = { thinkingBudget: N, includeThoughts: true },
+  //         thinkingBudget 0 turns thinking off (not supported by 2.5 Pro, which rejects it)
+  if (claudeRequest.thinking && claudeRequest.thinking.type === 'enabled') {
+    const thinkingConfig = { includeThoughts: true };
+    if (Number.isInteger(claudeRequest.thinking.budget_tokens)) {
+      thinkingConfig.thinkingBudget = claudeRequest.thinking.budget_tokens;
+    }
+    geminiRequest.generationConfig.thinkingConfig = thinkingConfig;
+    console.log(`🧠 Extended thinking enabled (budget: ${thinkingConfig.thinkingBudget ?? 'dynamic'})`);
+  } else if (claudeRequest.thinking?.type === 'disabled') {
+    geminiRequest.generationConfig.thinkingConfig = { thinkingBudget: 0 };
+    console.log('🧠 Extended thinking disabled');
   }
 
   // Handle structured output (JSON mode)
   // Claude: response_format.type = "json_object"
-  // Gemini: responseMimeType = "application/json" + responseJsonSchema
+  // Gemini: responseMimeType = "application/json" + responseSchema (the OpenAPI
+  //         subset produced by the schema transpiler; responseJsonSchema would
+  //         expect standard JSON Schema instead)
   if (claudeRequest.response_format) {
     if (claudeRequest.response_format.type === 'json_object' ||
       claudeRequest.response_format.type === 'json_schema') {
@@ -279,8 +622,8 @@ function claudeToGeminiRequest(claudeRequest) {
       // If schema is provided, convert it to Gemini format
       if (claudeRequest.response_format.schema) {
         console.log('   Converting JSON schema for structured output');
-        const cleanedSchema = cleanJsonSchema(claudeRequest.response_format.schema);
-        geminiRequest.generationConfig.responseJsonSchema = cleanedSchema;
+        const cleanedSchema = convertSchema(claudeRequest.response_format.schema, 'response_format');
+        geminiRequest.generationConfig.responseSchema = cleanedSchema;
 
         const schemaSize = JSON.stringify(cleanedSchema).length;
         console.log(`   Schema size: ${schemaSize} bytes`);
@@ -291,13 +634,13 @@ function claudeToGeminiRequest(claudeRequest) {
   }
 
   // Handle tool_choice (force tool calling)
-  // Claude: tool_choice = { type: "auto" | "any" | "tool", name?: "..." }
-  // Gemini: tool_config.function_calling_config.mode = "AUTO" | "ANY" | "NONE"
+  // Claude: tool_choice = { type: "auto" | "any" | "tool" | "none", name?: "...", disable_parallel_tool_use?: bool }
+  // Gemini: tool_config.function_calling_config = { mode: "AUTO" | "ANY" | "NONE", allowed_function_names?: [...] }
   if (claudeRequest.tool_choice) {
     const modeMap = {
       'auto': 'AUTO',
       'any': 'ANY',
-      'tool': 'ANY',  // Claude's specific tool maps to Gemini's ANY
+      'tool': 'ANY',  // Restricted to the named tool via allowed_function_names
       'none': 'NONE'
     };
 
@@ -310,241 +653,30 @@ function claudeToGeminiRequest(claudeRequest) {
 
     console.log(`🎯 Tool calling mode: ${claudeRequest.tool_choice.type} → ${mode}`);
 
-    if (claudeRequest.tool_choice.name) {
-      console.log(`   Specific tool requested: ${claudeRequest.tool_choice.name}`);
-      // Note: Gemini doesn't support forcing a specific tool by name
-      // We use ANY mode and rely on the model to choose correctly
-    }
-  }
-  if (claudeRequest.response_format) {
-    if (claudeRequest.response_format.type === 'json_object' && claudeRequest.response_format.schema) {
-      console.log('🎯 Adding structured output configuration (JSON schema)');
-      geminiRequest.generationConfig.responseMimeType = 'application/json';
-      geminiRequest.generationConfig.responseJsonSchema = claudeRequest.response_format.schema;
-      console.log(`  Schema size: ${JSON.stringify(claudeRequest.response_format.schema).length} bytes`);
-    } else if (claudeRequest.response_format.type === 'json_object') {
-      console.log('🎯 Adding structured output configuration (JSON without schema)');
-      geminiRequest.generationConfig.responseMimeType = 'application/json';
-      // Request JSON output without specific schema
-    } else {
-      console.warn(`⚠️  Unsupported response_format type: ${claudeRequest.response_format.type}`);
-    }
-  }
-
-  // Helper function: Recursively clean JSON Schema fields that Gemini doesn't support
-  function cleanJsonSchema(schema, depth = 0, path = '') {
-    if (!schema || typeof schema !== 'object') {
-      return schema;
-    }
-
-    // Handle arrays - recurse into each element
-    if (Array.isArray(schema)) {
-      return schema.map((item, index) =>
-        cleanJsonSchema(item, depth + 1, `${path}[${index}]`)
-      );
-    }
-
-    // Comprehensive list of JSON Schema fields that Gemini doesn't support
-    // Based on official Gemini API documentation and testing
-    const unsupportedFields = [
-      // JSON Schema metadata (confirmed unsupported)
-      'additionalProperties',  // ⚠️ CRITICAL: causes 400 error if present
-      '$schema',
-      '$id',
-      '$ref',
-      'definitions',
-      'title',
-      'examples',
-      'default',
-
-      // Access control (confirmed unsupported)
-      'readOnly',
-      'writeOnly',
-
-      // Numeric constraints (confirmed unsupported)
-      'minimum',
-      'maximum',
-      'exclusiveMinimum',
-      'exclusiveMaximum',
-      'multipleOf',
-
-      // String constraints (confirmed unsupported)
-      'minLength',
-      'maxLength',
-      'pattern',
-      'format',
-
-      // Array constraints (confirmed unsupported)
-      'minItems',
-      'maxItems',
-      'uniqueItems',
-
-      // Object constraints (confirmed unsupported)
-      'minProperties',
-      'maxProperties',
-      'patternProperties',
-      'dependencies',
-
-      // Content-related (confirmed unsupported)
-      'contentMediaType',
-      'contentEncoding',
-
-      // Complex schema compositions (confirmed unsupported)
-      'allOf',
-      'anyOf',
-      'oneOf',
-      'not',
-      'const'
-    ];
-
-    // Note: Gemini DOES support these fields (we keep them):
-    // - type, properties, required, description
-    // - enum (for enumerated values)
-    // - items (for arrays)
-
-    // Create a clean copy
-    const cleaned = {};
-    const removedFields = [];
-
-    // Process each field
-    for (const [key, value] of Object.entries(schema)) {
-      const currentPath = path ? `${path}.${key}` : key;
-
-      // Skip unsupported fields entirely
-      if (unsupportedFields.includes(key)) {
-        removedFields.push(currentPath);
-        continue;
-      }
-
-      // Recursively clean all nested objects and arrays
-      // This ensures that pattern/format in deeply nested properties are also removed
-      if (typeof value === 'object' && value !== null) {
-        cleaned[key] = cleanJsonSchema(value, depth + 1, currentPath);
-      } else {
-        cleaned[key] = value;
-      }
+    if (claudeRequest.tool_choice.type === 'tool' && claudeRequest.tool_choice.name) {
+      geminiRequest.tool_config.function_calling_config.allowed_function_names = [claudeRequest.tool_choice.name];
+      console.log(`   Forcing specific tool: ${claudeRequest.tool_choice.name}`);
     }
 
-    // Clean up 'required' array to only include properties that still exist
-    if (cleaned.required && Array.isArray(cleaned.required) && cleaned.properties) {
-      const validProperties = Object.keys(cleaned.properties);
-      const originalRequired = cleaned.required;
-      cleaned.required = cleaned.required.filter(prop => validProperties.includes(prop));
-
-      // Log if we removed any required properties
-      if (cleaned.required.length < originalRequired.length) {
-        const removed = originalRequired.filter(prop => !cleaned.required.includes(prop));
-        console.log(`🧹 Cleaned 'required' array: removed ${removed.length} reference(s) to deleted properties: ${removed.join(', ')}`);
-      }
-
-      // Remove empty required array
-      if (cleaned.required.length === 0) {
-        delete cleaned.required;
-      }
-    }
-
-    // Log removed fields at root level only
-    if (depth === 0 && removedFields.length > 0) {
-      console.log(`🧹 Cleaned schema: removed ${removedFields.length} unsupported field(s)`);
-      if (removedFields.length <= 10) {
-        removedFields.forEach(field => console.log(`   - ${field}`));
+    // Gemini has no switch for parallel calls, so the model is told to make a
+    // single call and the response converters drop any extra calls
+    if (claudeRequest.tool_choice.disable_parallel_tool_use && mode !== 'NONE') {
+      const instruction = 'Call at most one function per response.';
+      if (geminiRequest.system_instruction) {
+        geminiRequest.system_instruction.parts.push({ text: instruction });
       } else {
-        console.log(`   - ${removedFields.slice(0, 10).join(', ')} ... and ${removedFields.length - 10} more`);
-      }
-    }
-
-    return cleaned;
-  }
-
-  // Helper function: Validate that cleaned schema has no unsupported fields
-  function validateCleanedSchema(schema, toolName, toolIndex) {
-    if (!schema || typeof schema !== 'object') {
-      return true;
-    }
-
-    // Must match the list in cleanJsonSchema exactly
-    const unsupportedFields = [
-      'additionalProperties',  // ⚠️ CRITICAL
-      '$schema',
-      '$id',
-      '$ref',
-      'definitions',
-      'title',
-      'examples',
-      'default',
-      'readOnly',
-      'writeOnly',
-      'minimum',
-      'maximum',
-      'exclusiveMinimum',
-      'exclusiveMaximum',
-      'multipleOf',
-      'minLength',
-      'maxLength',
-      'pattern',
-      'format',
-      'minItems',
-      'maxItems',
-      'uniqueItems',
-      'minProperties',
-      'maxProperties',
-      'patternProperties',
-      'dependencies',
-      'contentMediaType',
-      'contentEncoding',
-      'allOf',
-      'anyOf',
-      'oneOf',
-      'not',
-      'const'
-    ];
-
-    // Deep search for unsupported fields
-    function findUnsupportedFields(obj, path = '') {
-      const found = [];
-
-      if (!obj || typeof obj !== 'object') {
-        return found;
-      }
-
-      if (Array.isArray(obj)) {
-        obj.forEach((item, index) => {
-          found.push(...findUnsupportedFields(item, `${path}[${index}]`));
-        });
-        return found;
-      }
-
-      for (const [key, value] of Object.entries(obj)) {
-        const currentPath = path ? `${path}.${key}` : key;
-
-        if (unsupportedFields.includes(key)) {
-          found.push(currentPath);
-        }
-
-        if (typeof value === 'object' && value !== null) {
-          found.push(...findUnsupportedFields(value, currentPath));
-        }
+        geminiRequest.system_instruction = { parts: [{ text: instruction }] };
       }
-
-      return found;
+      console.log('   Parallel tool use disabled');
     }
-
-    const foundFields = findUnsupportedFields(schema);
-
-    if (foundFields.length > 0) {
-      console.warn(`⚠️  Tool[${toolIndex}] "${toolName}" still contains unsupported fields after cleaning:`);
-      foundFields.forEach(field => console.warn(`   - ${field}`));
-      return false;
-    }
-
-    return true;
   }
 
   // Merge MCP tools with Claude tools
   const allTools = [];
 
   // Add MCP tools if integration is available
-  if (mcpIntegration && mcpIntegration.initialized) {
+  if (options.includeMcpTools !== false &&
+    mcpIntegration && mcpIntegration.initialized && mcpIntegration.availableTools.size > 0) {
     const mcpTools = mcpIntegration.getClaudeTools();
     allTools.push(...mcpTools);
     console.log(`🔧 Adding ${mcpTools.length} MCP tool(s) to request`);
@@ -556,28 +688,29 @@ function claudeToGeminiRequest(claudeRequest) {
     console.log(`🔧 Adding ${claudeRequest.tools.length} native tool(s) to request`);
   }
 
-  // Check if the request contains any functionResponse (tool_result)
-  // Gemini doesn't allow tools definition when functionResponse is present
+  // Tools are sent on every turn so the model can keep calling them after a
+  // tool result. Some Gemini-compatible upstreams reject tool declarations
+  // next to functionResponse parts; stripToolsOnFunctionResponse restores the
+  // old behaviour of dropping them for those.
   const hasFunctionResponse = geminiRequest.contents.some(content =>
     content.parts && content.parts.some(part => part.functionResponse)
   );
+  const skipTools = hasFunctionResponse && options.stripToolsOnFunctionResponse === true;
 
-  if (hasFunctionResponse && allTools.length > 0) {
+  if (skipTools && allTools.length > 0) {
     console.log(`⚠️  Skipping tools definition: Request contains functionResponse`);
-    console.log(`   Gemini API limitation: Cannot send tools with function responses`);
-    console.log(`   This is normal for tool result submissions`);
+    console.log(`   stripToolsOnFunctionResponse is enabled in geminiMcpSettings`);
   }
 
   // Convert all tools to Gemini function declarations
-  // BUT: Skip if request contains functionResponse (Gemini limitation)
-  if (allTools.length > 0 && !hasFunctionResponse) {
+  if (allTools.length > 0 && !skipTools) {
     console.log(`🔧 Converting ${allTools.length} total tool(s) to Gemini format:`);
     allTools.forEach((tool, index) => {
       console.log(`  [${index}] ${tool.name}`);
     });
 
     const functionDeclarations = allTools.map((tool, index) => {
-      // Skip MCP tools in schema cleaning (they're already cleaned)
+      // Skip MCP tools in schema translation (they're already translated)
       const isMcpTool = mcpIntegration && mcpIntegration.isMcpTool(tool.name);
 
       let cleanedSchema = {};
@@ -585,28 +718,14 @@ function claudeToGeminiRequest(claudeRequest) {
         const originalSize = JSON.stringify(tool.input_schema).length;
 
         if (isMcpTool) {
-          // MCP tools already have cleaned schema
+          // MCP tools already have a translated schema
           cleanedSchema = tool.input_schema;
           console.log(`  ✓ [${index}] ${tool.name}: MCP tool (pre-cleaned)`);
         } else {
-          // Clean native Claude tools
-          cleanedSchema = cleanJsonSchema(tool.input_schema);
+          // Translate native Claude tool schemas
+          cleanedSchema = convertSchema(tool.input_schema, `[${index}] ${tool.name}`);
           const cleanedSize = JSON.stringify(cleanedSchema).length;
-          const reduction = originalSize - cleanedSize;
-
-          if (reduction > 0) {
-            console.log(`  🧹 [${index}] ${tool.name}: Cleaned ${reduction} bytes (${originalSize} → ${cleanedSize})`);
-          } else {
-            console.log(`  ✓ [${index}] ${tool.name}: No cleaning needed`);
-          }
-        }
-      }
-
-      // Validate that cleaning was successful (only for non-MCP tools)
-      if (!isMcpTool) {
-        const isValid = validateCleanedSchema(cleanedSchema, tool.name, index);
-        if (!isValid) {
-          console.error(`  ❌ [${index}] ${tool.name}: Validation failed - may cause Gemini errors`);
+          console.log(`  ✓ [${index}] ${tool.name}: Schema translated (${originalSize} → ${cleanedSize} bytes)`);
         }
       }
 
@@ -635,28 +754,89 @@ function claudeToGeminiRequest(claudeRequest) {
 }
 
 /**
- * Initialize MCP integration
+ * Build a Gemini countTokens request body from a converted request
+ * @param {Object} geminiRequest - Output of claudeToGeminiRequest
+ * @param {string} modelName - Gemini model name
+ * @returns {Object} countTokens request body
  */
-async function initializeMCP(config) {
-  if (!mcpIntegration) {
-    try {
-      console.log('🚀 初始化MCP集成...');
+function buildCountTokensRequest(geminiRequest, modelName) {
+  return {
+    generateContentRequest: {
+      model: `models/${modelName}`,
+      ...geminiRequest
+    }
+  };
+}
 
-      // Get MCP server configurations from config
-      const mcpServers = config.mcpServers || [];
+/**
+ * Estimate the input token count of a Gemini request locally
+ * Used when the upstream countTokens call is unavailable. Text is counted at
+ * roughly 4 characters per token (CJK characters count as one token each) and
+ * inline media at Gemini's fixed 258 tokens per image.
+ * @param {Object} geminiRequest - Output of claudeToGeminiRequest
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(geminiRequest) {
+  const countText = (text) => {
+    if (!text) return 0;
+    const cjk = (text.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+    return cjk + Math.ceil((text.length - cjk) / 4);
+  };
 
-      mcpIntegration = new MCPIntegration(config);
-      await mcpIntegration.initialize(mcpServers);
+  const countParts = (parts = []) => parts.reduce((total, part) => {
+    if (part.text) return total + countText(part.text);
+    if (part.inlineData) return total + 258;
+    if (part.functionCall) return total + countText(JSON.stringify(part.functionCall));
+    if (part.functionResponse) return total + countText(JSON.stringify(part.functionResponse));
+    return total;
+  }, 0);
+
+  let total = countParts(geminiRequest.system_instruction?.parts);
+  for (const content of geminiRequest.contents || []) {
+    // Small per-turn overhead for role markers
+    total += 4 + countParts(content.parts);
+  }
+  if (geminiRequest.tools) {
+    total += countText(JSON.stringify(geminiRequest.tools));
+  }
+  return total;
+}
 
-      console.log('✅ MCP集成初始化完成');
-      return mcpIntegration;
-    } catch (error) {
-      console.error('❌ MCP集成初始化失败:', error);
-      mcpIntegration = null;
-      throw error;
-    }
+/**
+ * Initialize MCP integration
+ * Servers are added and removed at runtime through the integration, so later
+ * calls return the existing instance. The instance is only published (and
+ * returned by getMCPIntegration) once its servers are connected; calls made
+ * while that is in progress wait for the same initialization.
+ */
+async function initializeMCP(config) {
+  if (mcpIntegration) {
+    return mcpIntegration;
   }
-  return null;
+
+  if (!mcpInitialization) {
+    mcpInitialization = (async () => {
+      try {
+        console.log('🚀 初始化MCP集成...');
+
+        // Get MCP server configurations from config
+        const mcpServers = config.mcpServers || [];
+
+        const integration = new MCPIntegration(config);
+        await integration.initialize(mcpServers);
+        mcpIntegration = integration;
+
+        console.log('✅ MCP集成初始化完成');
+        return mcpIntegration;
+      } catch (error) {
+        console.error('❌ MCP集成初始化失败:', error);
+        throw error;
+      } finally {
+        mcpInitialization = null;
+      }
+    })();
+  }
+  return mcpInitialization;
 }
 
 // Generate Claude-style message ID
@@ -671,42 +851,164 @@ function mapFinishReason(finishReason) {
   const mapping = {
     'STOP': 'end_turn',
     'MAX_TOKENS': 'max_tokens',
-    'SAFETY': 'stop_sequence',
-    'RECITATION': 'stop_sequence'
+    'SAFETY': 'refusal',
+    'RECITATION': 'refusal',
+    'PROHIBITED_CONTENT': 'refusal',
+    'BLOCKLIST': 'refusal',
+    'SPII': 'refusal',
+    'IMAGE_SAFETY': 'refusal'
   };
   return mapping[finishReason] || 'end_turn';
 }
 
+/**
+ * Derive Claude stop_reason / stop_sequence from the produced content
+ * Gemini reports STOP for both natural ends and stop sequences, and function
+ * calls do not have a finish reason of their own, so the content decides.
+ * @param {string} finishReason - Gemini finishReason of the candidate
+ * @param {Object} options - { hasToolUse, stopSequence, blockReason }
+ * @returns {Object} { stop_reason, stop_sequence }
+ */
+function resolveStopReason(finishReason, { hasToolUse = false, stopSequence = null, blockReason = null, pauseTurn = false } = {}) {
+  if (blockReason) {
+    return { stop_reason: 'refusal', stop_sequence: null };
+  }
+  if (hasToolUse) {
+    return { stop_reason: 'tool_use', stop_sequence: null };
+  }
+  if (pauseTurn) {
+    return { stop_reason: 'pause_turn', stop_sequence: null };
+  }
+  if (stopSequence !== null) {
+    return { stop_reason: 'stop_sequence', stop_sequence: stopSequence };
+  }
+  return { stop_reason: mapFinishReason(finishReason), stop_sequence: null };
+}
+
+/**
+ * Find the earliest occurrence of any stop sequence in text
+ * Stop sequences are matched by the proxy rather than by Gemini, which would
+ * hide which sequence stopped the output; the text is cut at the match.
+ * @param {string} text - Generated text
+ * @param {string[]} stopSequences - Requested stop sequences
+ * @returns {Object|null} { index, sequence } or null when none matched
+ */
+function findStopSequence(text, stopSequences) {
+  let match = null;
+  for (const sequence of stopSequences || []) {
+    if (!sequence) continue;
+    const index = text.indexOf(sequence);
+    if (index !== -1 && (match === null || index < match.index)) {
+      match = { index, sequence };
+    }
+  }
+  return match;
+}
+
+/**
+ * Convert Gemini usageMetadata to Claude usage
+ * Gemini counts cached tokens as part of promptTokenCount; Claude reports
+ * them separately, as cache creation when the cache was created for this
+ * request and as a cache read otherwise. Thinking tokens are billed as
+ * output, so thoughtsTokenCount is included in output_tokens.
+ * @param {Object} usageMetadata - Gemini usageMetadata
+ * @param {Object} options - { cacheCreated }
+ * @returns {Object} Claude usage object
+ */
+function convertUsage(usageMetadata = {}, options = {}) {
+  const cachedTokens = usageMetadata.cachedContentTokenCount || 0;
+  return {
+    input_tokens: Math.max(0, (usageMetadata.promptTokenCount || 0) - cachedTokens),
+    output_tokens: (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0),
+    cache_creation_input_tokens: options.cacheCreated ? cachedTokens : 0,
+    cache_read_input_tokens: options.cacheCreated ? 0 : cachedTokens
+  };
+}
+
 // Convert Gemini response to Claude format
-function geminiToClaudeResponse(geminiResponse, model, messageId) {
+function geminiToClaudeResponse(geminiResponse, model, messageId, options = {}) {
   const candidate = geminiResponse.candidates?.[0];
-  if (!candidate) {
+  const blockReason = geminiResponse.promptFeedback?.blockReason;
+  if (!candidate && !blockReason) {
     throw new Error('No candidates in Gemini response');
   }
 
+  if (!candidate) {
+    console.warn(`⚠️  Prompt blocked by Gemini: ${blockReason}`);
+  }
+
   const content = [];
-  const parts = candidate.content?.parts || [];
+  const parts = candidate?.content?.parts || [];
+  let matchedStopSequence = null;
 
-  // Process each part (text or function call)
+  // Process each part (thought, text or function call)
   for (const part of parts) {
-    if (part.text) {
-      content.push({
-        type: 'text',
-        text: part.text,
-        citations: null
-      });
+    if (matchedStopSequence !== null) break;
+
+    // Gemini 2.5 puts the signature of the thoughts on the part that follows them
+    const previous = content[content.length - 1];
+    if (!part.thought && part.thoughtSignature && previous?.type === 'thinking' && !previous.signature) {
+      previous.signature = part.thoughtSignature;
+    }
+
+    if (part.thought) {
+      // Merge consecutive thought parts into a single thinking block
+      const last = content[content.length - 1];
+      if (last && last.type === 'thinking') {
+        last.thinking += part.text || '';
+        if (part.thoughtSignature) {
+          last.signature = part.thoughtSignature;
+        }
+      } else {
+        content.push({
+          type: 'thinking',
+          thinking: part.text || '',
+          signature: part.thoughtSignature || ''
+        });
+      }
+    } else if (part.text) {
+      let text = part.text;
+      const match = findStopSequence(text, options.stopSequences);
+      if (match) {
+        text = text.substring(0, match.index);
+        matchedStopSequence = match.sequence;
+      }
+      if (text) {
+        content.push({
+          type: 'text',
+          text,
+          citations: null
+        });
+      }
+    } else if (part.functionCall && isServerMcpCall(part.functionCall, options)) {
+      // Executed by the proxy; the id only depends on the response so a
+      // response converted twice gets the same ids
+      const digest = crypto.createHash('sha256')
+        .update(`${messageId}:${content.length}:${JSON.stringify(parts)}`)
+        .digest('hex');
+      content.push(toMcpToolUseBlock(part.functionCall, `mcptoolu_${digest.substring(0, 24)}`));
     } else if (part.functionCall) {
+      if (options.disableParallelToolUse && content.some(block => block.type === 'tool_use')) {
+        console.warn(`⚠️  Dropping extra tool call (parallel tool use disabled): ${part.functionCall.name}`);
+        continue;
+      }
+
       // Convert Gemini function call to Claude tool use format
+      const id = toToolUseId(part.functionCall, messageId, content.length, part.thoughtSignature);
       content.push({
         type: 'tool_use',
-        id: `toolu_${Math.random().toString(36).substring(2, 15)}`,
+        id,
         name: part.functionCall.name,
         input: part.functionCall.args || {}
       });
     }
   }
 
-  const stopReason = mapFinishReason(candidate.finishReason);
+  const { stop_reason, stop_sequence } = resolveStopReason(candidate?.finishReason, {
+    hasToolUse: content.some(block => block.type === 'tool_use'),
+    stopSequence: matchedStopSequence,
+    blockReason
+  });
 
   return {
     id: messageId,
@@ -714,16 +1016,15 @@ function geminiToClaudeResponse(geminiResponse, model, messageId) {
     role: 'assistant',
     content,
     model,
-    stop_reason: stopReason,
-    stop_sequence: null,
-    usage: {
-      input_tokens: geminiResponse.usageMetadata?.promptTokenCount || 0,
-      output_tokens: geminiResponse.usageMetadata?.candidatesTokenCount || 0
-    }
+    stop_reason,
+    stop_sequence,
+    usage: convertUsage(geminiResponse.usageMetadata, options)
   };
 }
 
 // Parse SSE stream from Gemini
+// Events are separated by a blank line; a chunk may carry several events or
+// end in the middle of one, in which case the rest waits in the buffer
 class GeminiStreamParser {
   constructor() {
     this.buffer = '';
@@ -732,163 +1033,431 @@ class GeminiStreamParser {
   parse(chunk) {
     this.buffer += chunk;
     const events = [];
-    const regex = /^data: (.*)(?:\n\n|\r\r|\r\n\r\n)/gm;
+    const separator = /\r\n\r\n|\n\n|\r\r/;
     let match;
 
-    while ((match = regex.exec(this.buffer)) !== null) {
-      try {
-        const data = JSON.parse(match[1]);
-        events.push(data);
-        this.buffer = this.buffer.substring(match[0].length);
-      } catch (e) {
-        // Skip invalid JSON
+    while ((match = separator.exec(this.buffer)) !== null) {
+      const event = this._parseEvent(this.buffer.substring(0, match.index));
+      this.buffer = this.buffer.substring(match.index + match[0].length);
+      if (event) {
+        events.push(event);
       }
     }
 
     return events;
   }
+
+  // Parse an event left in the buffer when the stream ends without a blank line
+  flush() {
+    const event = this._parseEvent(this.buffer);
+    this.buffer = '';
+    return event ? [event] : [];
+  }
+
+  _parseEvent(block) {
+    const data = block.split(/\r\n|\n|\r/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.substring(5).replace(/^ /, ''))
+      .join('\n');
+    if (!data) return null;
+
+    try {
+      return JSON.parse(data);
+    } catch (e) {
+      console.warn(`⚠️  Skipping invalid SSE data: ${data.substring(0, 100)}`);
+      return null;
+    }
+  }
+}
+
+/**
+ * Read a streamed Gemini response into one generateContent response
+ * Used for non-streaming requests with stop sequences: those are matched by
+ * the proxy, so the response is streamed and the upstream stream is cancelled
+ * as soon as a stop sequence appears in the text, instead of letting Gemini
+ * generate up to max_tokens. Consecutive text parts are merged.
+ * @param {ReadableStream} body - streamGenerateContent (SSE) response body
+ * @param {string[]} stopSequences - Requested stop sequences
+ * @returns {Promise<Object>} Gemini response with candidates, usageMetadata
+ *   and promptFeedback of the chunks read
+ */
+async function collectGeminiStream(body, stopSequences = []) {
+  const parser = new GeminiStreamParser();
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  const result = {};
+  const parts = [];
+  let text = '';
+
+  const addChunk = (chunk) => {
+    if (chunk.usageMetadata) result.usageMetadata = chunk.usageMetadata;
+    if (chunk.promptFeedback) result.promptFeedback = chunk.promptFeedback;
+    if (chunk.modelVersion) result.modelVersion = chunk.modelVersion;
+
+    const candidate = chunk.candidates?.[0];
+    if (!candidate) return;
+    if (candidate.finishReason) result.finishReason = candidate.finishReason;
+    if (candidate.safetyRatings) result.safetyRatings = candidate.safetyRatings;
+
+    for (const part of candidate.content?.parts || []) {
+      const last = parts[parts.length - 1];
+      if (typeof part.text === 'string' && typeof last?.text === 'string' && !part.thought === !last.thought) {
+        last.text += part.text;
+        if (part.thoughtSignature && !last.thoughtSignature) last.thoughtSignature = part.thoughtSignature;
+      } else {
+        parts.push({ ...part });
+      }
+      if (part.text && !part.thought) text += part.text;
+    }
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        parser.flush().forEach(addChunk);
+        break;
+      }
+
+      parser.parse(decoder.decode(value, { stream: true })).forEach(addChunk);
+      if (findStopSequence(text, stopSequences)) {
+        await reader.cancel().catch(() => {});
+        break;
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+
+  const { finishReason, safetyRatings, ...rest } = result;
+  return {
+    ...rest,
+    candidates: parts.length > 0 || finishReason
+      ? [{ content: { role: 'model', parts }, finishReason, ...(safetyRatings && { safetyRatings }) }]
+      : []
+  };
 }
 
 // Convert Gemini SSE stream to Claude SSE format
+//
+// Implemented as a content-block state machine so that the emitted events
+// always follow the Anthropic streaming grammar:
+//   message_start
+//   (content_block_start content_block_delta* content_block_stop)*
+//   message_delta
+//   message_stop
+// Block indices increase monotonically across chunks and every block that
+// is opened is closed exactly once.
 class ClaudeStreamConverter {
-  constructor(model, messageId) {
+  constructor(model, messageId, options = {}) {
     this.model = model;
     this.messageId = messageId;
-    this.index = 0;
+    this.started = false;
+    this.finished = false;
+    this.nextIndex = 0;
+    this.currentBlock = null; // { index, type }
+    this.thinkingSignature = null;
+    this.hasToolUse = false;
+    this.disableParallelToolUse = options.disableParallelToolUse === true;
+    this.cacheCreated = options.cacheCreated === true;
+    // Function call arguments are checked against the client's tool schemas
+    this.tools = options.tools || [];
+    this.toolValidation = { checked: 0, repaired: 0, invalid: [] };
     this.lastData = null;
+    this.usageMetadata = null; // Latest usageMetadata, the final one is cumulative
+
+    // Server-side MCP tool loop: MCP calls become mcp_tool_use blocks and the
+    // message continues with the next Gemini response after they ran
+    this.executeMcpTools = options.executeMcpTools === true;
+    this.mcpCalls = [];         // [{ id, functionCall }] of the current response
+    this.modelParts = [];       // Gemini parts of the current response
+    this.previousUsage = null;  // Usage of earlier responses of this message
+
+    // Stop sequence detection holds back the tail of the text that could be
+    // the beginning of a stop sequence split across chunks
+    this.stopSequences = (options.stopSequences || []).filter(seq => typeof seq === 'string' && seq);
+    this.holdLength = Math.max(0, ...this.stopSequences.map(seq => seq.length - 1));
+    this.heldText = '';
+    this.matchedStopSequence = null;
   }
 
-  convertChunk(geminiData) {
-    const events = [];
-    const candidate = geminiData.candidates?.[0];
-    if (!candidate) return events;
+  _startMessage(events) {
+    if (this.started) return;
+
+    events.push({
+      event: 'message_start',
+      data: {
+        type: 'message_start',
+        message: {
+          id: this.messageId,
+          type: 'message',
+          role: 'assistant',
+          content: [],
+          model: this.model,
+          stop_reason: null,
+          stop_sequence: null,
+          usage: convertUsage(this.usageMetadata || {}, { cacheCreated: this.cacheCreated })
+        }
+      }
+    });
+    this.started = true;
+  }
+
+  // Open a new content block, closing the current one first
+  _openBlock(events, contentBlock) {
+    this._closeBlock(events);
+
+    const index = this.nextIndex++;
+    events.push({
+      event: 'content_block_start',
+      data: {
+        type: 'content_block_start',
+        index,
+        content_block: contentBlock
+      }
+    });
+    this.currentBlock = { index, type: contentBlock.type };
+    return index;
+  }
+
+  // Close the current content block (thinking blocks get their signature first)
+  _closeBlock(events) {
+    if (!this.currentBlock) return;
 
-    // Send message_start on first chunk
-    if (this.index === 0) {
+    const { index, type } = this.currentBlock;
+    if (type === 'thinking') {
       events.push({
-        event: 'message_start',
+        event: 'content_block_delta',
         data: {
-          type: 'message_start',
-          message: {
-            id: this.messageId,
-            type: 'message',
-            role: 'assistant',
-            content: [],
-            model: this.model,
-            usage: { input_tokens: 0, output_tokens: 0 }
-          }
+          type: 'content_block_delta',
+          index,
+          delta: { type: 'signature_delta', signature: this.thinkingSignature || '' }
         }
       });
+      this.thinkingSignature = null;
+    }
+
+    events.push({
+      event: 'content_block_stop',
+      data: {
+        type: 'content_block_stop',
+        index
+      }
+    });
+    this.currentBlock = null;
+  }
+
+  _delta(events, delta) {
+    events.push({
+      event: 'content_block_delta',
+      data: {
+        type: 'content_block_delta',
+        index: this.currentBlock.index,
+        delta
+      }
+    });
+  }
+
+  // Emit text into the current text block, cutting it at a stop sequence
+  _emitText(events, newText) {
+    let text = this.heldText + newText;
+    this.heldText = '';
+
+    if (this.stopSequences.length > 0) {
+      const match = findStopSequence(text, this.stopSequences);
+      if (match) {
+        text = text.substring(0, match.index);
+        this.matchedStopSequence = match.sequence;
+      } else if (this.holdLength > 0) {
+        const cut = Math.max(0, text.length - this.holdLength);
+        this.heldText = text.substring(cut);
+        text = text.substring(0, cut);
+      }
+    }
+
+    if (!text) return;
+
+    if (this.currentBlock?.type !== 'text') {
+      this._openBlock(events, { type: 'text', text: '' });
+    }
+    this._delta(events, { type: 'text_delta', text });
+  }
+
+  // Release held-back text once no stop sequence can complete it
+  _flushText(events) {
+    if (!this.heldText) return;
+
+    const text = this.heldText;
+    this.heldText = '';
+    if (this.currentBlock?.type !== 'text') {
+      this._openBlock(events, { type: 'text', text: '' });
     }
+    this._delta(events, { type: 'text_delta', text });
+  }
+
+  convertChunk(geminiData) {
+    const events = [];
+    if (this.finished) return events;
+
+    if (geminiData.usageMetadata) {
+      this.usageMetadata = geminiData.usageMetadata;
+    }
+    this._startMessage(events);
+    this.lastData = geminiData;
+
+    const candidate = geminiData.candidates?.[0];
+    if (!candidate) return events;
 
-    // Process each part in the response
     const parts = candidate.content?.parts || [];
-    parts.forEach((part, partIndex) => {
-      // Handle text content
-      if (part.text) {
-        // Send content_block_start for text on first occurrence
-        if (this.index === 0 && partIndex === 0) {
-          events.push({
-            event: 'content_block_start',
-            data: {
-              type: 'content_block_start',
-              index: partIndex,
-              content_block: { type: 'text', text: '' }
-            }
-          });
+    this.modelParts.push(...parts);
+    for (const part of parts) {
+      // Anything after a matched stop sequence is discarded
+      if (this.matchedStopSequence !== null) break;
+
+      // Gemini 2.5 puts the signature of the thoughts on the part that follows
+      // them; it is sent when that part closes the thinking block
+      if (part.thoughtSignature && this.currentBlock?.type === 'thinking') {
+        this.thinkingSignature = part.thoughtSignature;
+      }
+
+      if (!part.text || part.thought) {
+        this._flushText(events);
+      }
+
+      // Handle thought content (extended thinking)
+      if (part.thought) {
+        if (this.currentBlock?.type !== 'thinking') {
+          this._openBlock(events, { type: 'thinking', thinking: '' });
+        }
+        if (part.thoughtSignature) {
+          this.thinkingSignature = part.thoughtSignature;
         }
+        if (part.text) {
+          this._delta(events, { type: 'thinking_delta', thinking: part.text });
+        }
+      }
 
-        // Send text delta
-        events.push({
-          event: 'content_block_delta',
-          data: {
-            type: 'content_block_delta',
-            index: partIndex,
-            delta: { type: 'text_delta', text: part.text }
-          }
-        });
+      // Handle text content - consecutive text parts share one block
+      else if (part.text) {
+        this._emitText(events, part.text);
+      }
+
+      // MCP tool executed by the proxy
+      else if (part.functionCall && isServerMcpCall(part.functionCall, this)) {
+        const block = toMcpToolUseBlock(part.functionCall, `mcptoolu_${crypto.randomBytes(12).toString('hex')}`);
+        this._openBlock(events, { ...block, input: {} });
+        this._delta(events, { type: 'input_json_delta', partial_json: JSON.stringify(block.input) });
+        this._closeBlock(events);
+        this.mcpCalls.push({ id: block.id, functionCall: part.functionCall });
+        console.log(`🔧 Streaming mcp_tool_use: ${part.functionCall.name}`);
       }
 
-      // Handle function call (tool use)
+      // Handle function call (tool use) - Gemini delivers complete calls,
+      // so each one is a self-contained block
       else if (part.functionCall) {
-        // Send content_block_start for tool_use
-        events.push({
-          event: 'content_block_start',
-          data: {
-            type: 'content_block_start',
-            index: partIndex,
-            content_block: {
-              type: 'tool_use',
-              id: `toolu_${Math.random().toString(36).substring(2, 15)}`,
-              name: part.functionCall.name,
-              input: {}
-            }
-          }
-        });
+        if (this.disableParallelToolUse && this.hasToolUse) {
+          console.warn(`⚠️  Dropping extra tool call (parallel tool use disabled): ${part.functionCall.name}`);
+          continue;
+        }
 
-        // Send input delta
-        events.push({
-          event: 'content_block_delta',
-          data: {
-            type: 'content_block_delta',
-            index: partIndex,
-            delta: {
-              type: 'input_json_delta',
-              partial_json: JSON.stringify(part.functionCall.args || {})
-            }
-          }
+        const validation = repairFunctionCalls([part], this.tools);
+        this.toolValidation.checked += validation.checked;
+        this.toolValidation.repaired += validation.repaired;
+        this.toolValidation.invalid.push(...validation.invalid);
+
+        const id = toToolUseId(part.functionCall, this.messageId, this.nextIndex, part.thoughtSignature);
+        this._openBlock(events, {
+          type: 'tool_use',
+          id,
+          name: part.functionCall.name,
+          input: {}
         });
-
-        // Send content_block_stop for tool_use
-        events.push({
-          event: 'content_block_stop',
-          data: {
-            type: 'content_block_stop',
-            index: partIndex
-          }
+        this._delta(events, {
+          type: 'input_json_delta',
+          partial_json: JSON.stringify(part.functionCall.args || {})
         });
+        this._closeBlock(events);
+        this.hasToolUse = true;
 
         console.log(`🔧 Streaming tool_use: ${part.functionCall.name}`);
       }
-    });
+    }
 
-    this.index++;
-    this.lastData = geminiData;
     return events;
   }
 
-  finalize() {
+  /**
+   * Emit mcp_tool_result blocks for the executed MCP calls and continue the
+   * message with the next Gemini response
+   * @param {Array} results - [{ id, isError, text }], id of the mcp_tool_use block
+   * @returns {Array} Claude events
+   */
+  continueWithMcpResults(results) {
     const events = [];
-    if (this.lastData) {
-      const candidate = this.lastData.candidates?.[0];
-      const stopReason = mapFinishReason(candidate?.finishReason);
-
-      events.push({
-        event: 'content_block_stop',
-        data: {
-          type: 'content_block_stop',
-          index: 0
-        }
+    this._flushText(events);
+    this._closeBlock(events);
+
+    for (const result of results) {
+      this._openBlock(events, {
+        type: 'mcp_tool_result',
+        tool_use_id: result.id,
+        is_error: result.isError,
+        content: [{ type: 'text', text: result.text }]
       });
+      this._closeBlock(events);
+    }
 
-      events.push({
-        event: 'message_delta',
-        data: {
-          type: 'message_delta',
-          delta: { stop_reason: stopReason, stop_sequence: null },
-          usage: {
-            output_tokens: this.lastData.usageMetadata?.candidatesTokenCount || 0
-          }
-        }
-      });
+    this.previousUsage = this.totalUsage();
+    this.usageMetadata = null;
+    this.cacheCreated = false;
+    this.mcpCalls = [];
+    this.modelParts = [];
+    return events;
+  }
 
-      events.push({
-        event: 'message_stop',
-        data: {
-          type: 'message_stop'
-        }
-      });
-    }
+  // Usage of all Gemini responses of this message
+  totalUsage() {
+    const usage = convertUsage(this.usageMetadata || {}, { cacheCreated: this.cacheCreated });
+    return this.previousUsage ? sumUsage(this.previousUsage, usage) : usage;
+  }
+
+  /**
+   * @param {Object} options - { pauseTurn: end with stop_reason pause_turn
+   *   because the MCP tool loop hit its iteration limit }
+   */
+  finalize({ pauseTurn = false } = {}) {
+    const events = [];
+    if (this.finished) return events;
+
+    this._startMessage(events);
+    this._flushText(events);
+    this._closeBlock(events);
+
+    const candidate = this.lastData?.candidates?.[0];
+    const { stop_reason, stop_sequence } = resolveStopReason(candidate?.finishReason, {
+      hasToolUse: this.hasToolUse,
+      stopSequence: this.matchedStopSequence,
+      blockReason: this.lastData?.promptFeedback?.blockReason,
+      pauseTurn
+    });
+
+    events.push({
+      event: 'message_delta',
+      data: {
+        type: 'message_delta',
+        delta: { stop_reason, stop_sequence },
+        usage: this.totalUsage()
+      }
+    });
+
+    events.push({
+      event: 'message_stop',
+      data: {
+        type: 'message_stop'
+      }
+    });
+
+    this.finished = true;
     return events;
   }
 }
@@ -900,11 +1469,22 @@ function formatClaudeSSE(event, data) {
 
 module.exports = {
   buildGeminiUrl,
+  globToRegExp,
+  resolveModel,
+  getModelChain,
   claudeToGeminiRequest,
+  getCacheBreakpoints,
+  buildCountTokensRequest,
+  estimateTokens,
   geminiToClaudeResponse,
+  convertUsage,
+  sumUsage,
+  isServerMcpCall,
   generateMessageId,
   mapFinishReason,
+  resolveStopReason,
   GeminiStreamParser,
+  collectGeminiStream,
   ClaudeStreamConverter,
   formatClaudeSSE,
   initializeMCP,
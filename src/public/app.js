@@ -45,6 +45,139 @@ function showSuccess(element, message) {
   setTimeout(() => element.classList.remove('show'), 3000);
 }
 
+// Format model aliases as "pattern = model" lines
+function formatModelAliases(aliases) {
+  return (aliases || []).map(alias => `${alias.pattern} = ${alias.model}`).join('\n');
+}
+
+// Parse "pattern = model" lines into model aliases
+function parseModelAliases(text) {
+  return text.split('\n')
+    .map(line => line.split('='))
+    .filter(parts => parts.length === 2 && parts[0].trim() && parts[1].trim())
+    .map(([pattern, model]) => ({ pattern: pattern.trim(), model: model.trim() }));
+}
+
+// Format model fallbacks as "model = fallback1, fallback2" lines
+function formatModelFallbacks(fallbacks) {
+  return (fallbacks || []).map(entry => `${entry.model} = ${entry.fallbacks.join(', ')}`).join('\n');
+}
+
+// Parse "model = fallback1, fallback2" lines into model fallbacks
+function parseModelFallbacks(text) {
+  return text.split('\n')
+    .map(line => line.split('='))
+    .filter(parts => parts.length === 2 && parts[0].trim() && parts[1].trim())
+    .map(([model, fallbacks]) => ({
+      model: model.trim(),
+      fallbacks: fallbacks.split(',').map(name => name.trim()).filter(Boolean)
+    }));
+}
+
+// Format API keys as lines; disabled keys are prefixed with "#"
+function formatApiKeys(keys) {
+  return (keys || []).map(entry => `${entry.enabled === false ? '# ' : ''}${entry.key}`).join('\n');
+}
+
+// Parse API key lines into [{ key, enabled }]
+function parseApiKeys(text) {
+  return text.split('\n')
+    .map(line => line.trim())
+    .filter(line => line.replace(/^#/, '').trim())
+    .map(line => line.startsWith('#')
+      ? { key: line.substring(1).trim(), enabled: false }
+      : { key: line, enabled: true });
+}
+
+// Render the key pool table
+function renderKeyPool(pool) {
+  const body = document.getElementById('keyPoolBody');
+  body.innerHTML = '';
+
+  if (pool.keys.length === 0) {
+    body.innerHTML = '<tr><td colspan="6">No keys configured</td></tr>';
+    return;
+  }
+
+  for (const entry of pool.keys) {
+    const row = document.createElement('tr');
+    const status = entry.status === 'cooling' ? `cooling (${entry.cooldownSeconds}s)` : entry.status;
+    const cells = [
+      entry.key,
+      status,
+      entry.requests,
+      entry.rateLimited ? `${entry.errors} (${entry.rateLimited} × 429)` : entry.errors,
+      `${entry.inputTokens} / ${entry.outputTokens}`
+    ];
+    for (const value of cells) {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    }
+    row.children[1].className = `key-status ${entry.status}`;
+
+    const actions = document.createElement('td');
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'btn btn-secondary btn-small';
+    toggle.textContent = entry.enabled ? 'Disable' : 'Enable';
+    toggle.addEventListener('click', () => updateKey(entry.id, { enabled: !entry.enabled }));
+    actions.appendChild(toggle);
+
+    if (entry.status === 'cooling') {
+      const reset = document.createElement('button');
+      reset.type = 'button';
+      reset.className = 'btn btn-secondary btn-small';
+      reset.textContent = 'Reset';
+      reset.addEventListener('click', () => updateKey(entry.id, { resetCooldown: true }));
+      actions.appendChild(reset);
+    }
+    row.appendChild(actions);
+    body.appendChild(row);
+  }
+}
+
+// Load key pool status
+async function loadKeyPool() {
+  try {
+    const response = await fetch('/api/keys', {
+      headers: { 'x-session-token': sessionToken }
+    });
+    if (response.ok) {
+      renderKeyPool(await response.json());
+    }
+  } catch (error) {
+    showError(configError, 'Failed to load key pool status');
+  }
+}
+
+// Enable / disable a key or clear its cooldown
+async function updateKey(id, changes) {
+  try {
+    const response = await fetch(`/api/keys/${id}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-session-token': sessionToken
+      },
+      body: JSON.stringify(changes)
+    });
+
+    const data = await response.json();
+
+    if (response.ok) {
+      renderKeyPool(data);
+      if ('enabled' in changes) {
+        loadConfiguration();
+      }
+    } else {
+      showError(configError, data.error?.message || 'Failed to update key');
+    }
+  } catch (error) {
+    showError(configError, 'Connection error');
+  }
+}
+
 // Login form submission
 loginForm.addEventListener('submit', async (e) => {
   e.preventDefault();
@@ -82,12 +215,17 @@ async function loadConfiguration() {
     if (response.ok) {
       const config = await response.json();
       document.getElementById('geminiApiUrl').value = config.geminiApiUrl || '';
-      document.getElementById('geminiApiKey').value = config.geminiApiKey || '';
+      document.getElementById('geminiApiKeys').value = formatApiKeys(config.geminiApiKeys ||
+        (config.geminiApiKey ? [{ key: config.geminiApiKey, enabled: true }] : []));
+      document.getElementById('keySelection').value = config.keySelection || 'round-robin';
       document.getElementById('defaultGeminiModel').value = config.defaultGeminiModel || 'gemini-2.5-flash';
+      document.getElementById('modelAliases').value = formatModelAliases(config.modelAliases);
+      document.getElementById('modelFallbacks').value = formatModelFallbacks(config.modelFallbacks);
       document.getElementById('localApiKey').value = config.localApiKey || '';
       
       // Update Claude API URL display
       updateClaudeApiUrl();
+      loadKeyPool();
     } else {
       showError(configError, 'Failed to load configuration');
     }
@@ -102,8 +240,11 @@ configForm.addEventListener('submit', async (e) => {
   
   const config = {
     geminiApiUrl: document.getElementById('geminiApiUrl').value,
-    geminiApiKey: document.getElementById('geminiApiKey').value,
-    defaultGeminiModel: document.getElementById('defaultGeminiModel').value
+    geminiApiKeys: parseApiKeys(document.getElementById('geminiApiKeys').value),
+    keySelection: document.getElementById('keySelection').value,
+    defaultGeminiModel: document.getElementById('defaultGeminiModel').value,
+    modelAliases: parseModelAliases(document.getElementById('modelAliases').value),
+    modelFallbacks: parseModelFallbacks(document.getElementById('modelFallbacks').value)
   };
   
   try {
@@ -122,6 +263,7 @@ configForm.addEventListener('submit', async (e) => {
       showSuccess(configSuccess, 'Configuration saved successfully');
       // Update Claude API URL display
       updateClaudeApiUrl();
+      loadKeyPool();
       // Test connection after saving
       testConnection();
     } else {
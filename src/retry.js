@@ -0,0 +1,125 @@
+/**
+ * Retry Module
+ * Retries Gemini requests that fail with 429 / 500 / 503 or a network error
+ *
+ * Backoff is exponential with jitter. A delay requested by the upstream
+ * (Retry-After header or google.rpc.RetryInfo in the error body) takes
+ * precedence; when it is longer than MAX_DELAY_MS (e.g. an exhausted daily
+ * quota) the error is returned right away instead of holding the client.
+ */
+
+const RETRYABLE_STATUSES = [429, 500, 503];
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+
+/**
+ * Parse a protobuf duration such as "1.5s"
+ * @returns {number|null} Milliseconds, null if not a duration
+ */
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)s$/.exec(String(value || '').trim());
+  return match ? Math.ceil(parseFloat(match[1]) * 1000) : null;
+}
+
+/**
+ * Get the delay the upstream asked for before retrying
+ * @param {Response} response - Failed upstream response
+ * @param {string} body - Response body text
+ * @returns {number|null} Delay in milliseconds, null if none was given
+ */
+function getRequestedDelay(response, body) {
+  const retryAfter = response.headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  try {
+    const details = JSON.parse(body).error?.details || [];
+    const retryInfo = details.find(detail => String(detail['@type'] || '').endsWith('google.rpc.RetryInfo'));
+    return parseDuration(retryInfo?.retryDelay);
+  } catch {
+    return null;
+  }
+}
+
+// Exponential backoff with jitter: between half and the full delay
+function backoffDelay(attempt) {
+  const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// Sleep that ends early with an AbortError when the signal fires
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(signal.reason || new DOMException('Aborted', 'AbortError'));
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason || new DOMException('Aborted', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Send a request, retrying retryable failures
+ * Only the response status is inspected, so a streaming body is never
+ * consumed and retries always happen before anything reaches the client.
+ * @param {Function} send - async () => Response, called once per attempt
+ * @param {Object} options
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {AbortSignal} options.signal - Aborts waiting between attempts
+ * @param {Function} options.onRetry - Called as ({ attempt, reason, delayMs }) before each retry
+ * @returns {Promise<Response>} Last response; a retryable error response is
+ *   returned once the retries are used up
+ * @throws {Error} The network error of the last attempt, or an AbortError
+ */
+async function fetchWithRetry(send, { retries = 3, signal, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await send();
+    } catch (error) {
+      if (error.name === 'AbortError' || error.name === 'TimeoutError' || attempt >= retries) {
+        throw error;
+      }
+      const delayMs = backoffDelay(attempt);
+      onRetry?.({ attempt: attempt + 1, reason: error.cause?.code || error.message, delayMs });
+      await sleep(delayMs, signal);
+      continue;
+    }
+
+    if (response.ok || !RETRYABLE_STATUSES.includes(response.status) || attempt >= retries) {
+      return response;
+    }
+
+    const body = await response.text();
+    const requestedDelay = getRequestedDelay(response, body);
+    if (requestedDelay !== null && requestedDelay > MAX_DELAY_MS) {
+      console.warn(`⚠️  Upstream asked to retry in ${Math.round(requestedDelay / 1000)}s, not retrying`);
+      return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+    }
+
+    const delayMs = requestedDelay ?? backoffDelay(attempt);
+    onRetry?.({ attempt: attempt + 1, reason: response.status, delayMs });
+    await sleep(delayMs, signal);
+  }
+}
+
+module.exports = {
+  fetchWithRetry,
+  getRequestedDelay,
+  RETRYABLE_STATUSES
+};
@@ -0,0 +1,401 @@
+/**
+ * JSON Schema Transpiler
+ * Translates tool input_schema (JSON Schema) into the OpenAPI subset that
+ * Gemini function declarations accept
+ *
+ * Key conversions:
+ * - $ref / $defs / definitions → inlined sub-schemas
+ * - allOf → merged into a single object schema
+ * - anyOf / oneOf [X, null] and type [X, "null"] → X with nullable: true
+ * - const → single-value enum
+ * - pattern, min/max, format, default… → appended to the description
+ *
+ * Anything that cannot be expressed is recorded in a lossy-conversion report
+ * instead of being silently dropped.
+ */
+
+// Keywords Gemini understands and that are copied through as-is
+const PASSTHROUGH_KEYWORDS = ['type', 'description', 'nullable'];
+
+// Constraints Gemini rejects but which still guide the model when described
+const DESCRIBED_KEYWORDS = [
+  'format',
+  'pattern',
+  'minimum',
+  'maximum',
+  'exclusiveMinimum',
+  'exclusiveMaximum',
+  'multipleOf',
+  'minLength',
+  'maxLength',
+  'minItems',
+  'maxItems',
+  'uniqueItems',
+  'minProperties',
+  'maxProperties',
+  'default',
+  'examples'
+];
+
+// Keywords that are removed; the ones listed here change validation semantics
+// and are reported as lossy, the rest are annotations
+const LOSSY_KEYWORDS = [
+  'additionalProperties',
+  'patternProperties',
+  'propertyNames',
+  'unevaluatedProperties',
+  'dependencies',
+  'dependentRequired',
+  'dependentSchemas',
+  'contains',
+  'not',
+  'if',
+  'then',
+  'else'
+];
+
+// Upper bound for inlining recursive $refs
+const MAX_DEPTH = 32;
+
+/**
+ * Resolve a local JSON pointer ($ref) against the root schema
+ * @param {Object} root - Root schema
+ * @param {string} ref - Reference such as "#/$defs/Address"
+ * @returns {Object|undefined} Referenced schema, undefined if unresolvable
+ */
+function resolveRef(root, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#')) {
+    return undefined;
+  }
+
+  const segments = ref.substring(1).split('/').filter(Boolean)
+    .map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'));
+
+  let target = root;
+  for (const segment of segments) {
+    if (!target || typeof target !== 'object') return undefined;
+    target = target[segment];
+  }
+  return target;
+}
+
+/**
+ * Format a constraint value for use in a description
+ */
+function describeValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * JSON Schema type shared by a list of literal values, used for non-string
+ * const / enum nodes without a type (Gemini needs a type on every such node)
+ * @returns {string} integer, number, boolean, array or object; string when
+ *   the values have no common type
+ */
+function literalType(values) {
+  const types = new Set(values.map(value => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }));
+  if (types.size === 2 && types.has('integer') && types.has('number')) return 'number';
+  if (types.size === 1) {
+    const [type] = types;
+    if (['integer', 'number', 'boolean', 'array', 'object'].includes(type)) return type;
+  }
+  return 'string';
+}
+
+/**
+ * Merge the members of an allOf into one schema
+ * Properties are combined, required lists are unioned and for any other
+ * keyword the first member that defines it wins.
+ */
+function mergeAllOf(members) {
+  const merged = {};
+  const descriptions = [];
+
+  for (const member of members) {
+    if (!member || typeof member !== 'object') continue;
+
+    for (const [key, value] of Object.entries(member)) {
+      if (key === 'properties') {
+        merged.properties = { ...(merged.properties || {}), ...value };
+      } else if (key === 'required') {
+        merged.required = [...new Set([...(merged.required || []), ...value])];
+      } else if (key === 'description') {
+        descriptions.push(value);
+      } else if (!(key in merged)) {
+        merged[key] = value;
+      }
+    }
+  }
+
+  if (descriptions.length > 0) {
+    merged.description = descriptions.join(' ');
+  }
+  return merged;
+}
+
+class SchemaTranspiler {
+  constructor(root) {
+    this.root = root;
+    this.lossy = [];
+  }
+
+  report(path, keyword, detail) {
+    this.lossy.push({ path: path || '(root)', keyword, detail });
+  }
+
+  /**
+   * Transpile one schema node
+   * @param {Object} schema - JSON Schema node
+   * @param {string} path - Location of the node, used in the report
+   * @param {string[]} refStack - $refs currently being inlined (cycle detection)
+   */
+  transpile(schema, path = '', refStack = []) {
+    if (schema === true || schema === undefined || schema === null) {
+      return {};
+    }
+    if (schema === false || typeof schema !== 'object' || Array.isArray(schema)) {
+      this.report(path, 'schema', `unsupported schema value ${JSON.stringify(schema)}`);
+      return {};
+    }
+
+    let node = schema;
+
+    // Inline $ref, letting sibling keywords override the referenced schema
+    if (node.$ref !== undefined) {
+      const { $ref, ...siblings } = node;
+
+      if (refStack.includes($ref) || refStack.length >= MAX_DEPTH) {
+        this.report(path, '$ref', `recursive reference ${$ref} replaced by a generic object`);
+        return {
+          type: 'object',
+          description: [siblings.description, `(recursive ${$ref})`].filter(Boolean).join(' ')
+        };
+      }
+
+      const target = resolveRef(this.root, $ref);
+      if (target === undefined) {
+        this.report(path, '$ref', `unresolvable reference ${$ref}`);
+        return this.transpile(siblings, path, refStack);
+      }
+      return this.transpile({ ...target, ...siblings }, path, [...refStack, $ref]);
+    }
+
+    // Flatten allOf into the node itself
+    if (Array.isArray(node.allOf)) {
+      const { allOf, ...rest } = node;
+      const inlined = new Set();
+      const members = allOf.map(member => this._resolveMember(member, refStack, inlined));
+      return this.transpile(mergeAllOf([rest, ...members]), path, [...refStack, ...inlined]);
+    }
+
+    // Collapse anyOf / oneOf
+    for (const keyword of ['anyOf', 'oneOf']) {
+      if (Array.isArray(node[keyword])) {
+        return this._transpileUnion(node, keyword, path, refStack);
+      }
+    }
+
+    const result = {};
+    const notes = [];
+
+    // Copy supported keywords
+    for (const keyword of PASSTHROUGH_KEYWORDS) {
+      if (node[keyword] !== undefined) {
+        result[keyword] = node[keyword];
+      }
+    }
+
+    // type: ["string", "null"] → string + nullable
+    if (Array.isArray(node.type)) {
+      const types = node.type.filter(type => type !== 'null');
+      if (types.length < node.type.length) {
+        result.nullable = true;
+      }
+      if (types.length === 1) {
+        result.type = types[0];
+      } else if (types.length === 0) {
+        delete result.type;
+      } else {
+        result.type = types[0];
+        notes.push(`type: ${types.join(' | ')}`);
+        this.report(path, 'type', `multiple types ${types.join(', ')} narrowed to ${types[0]}`);
+      }
+    }
+
+    // const → single-value enum
+    if (node.const !== undefined) {
+      if (typeof node.const === 'string') {
+        result.type = result.type || 'string';
+        result.enum = [node.const];
+      } else {
+        result.type = result.type || literalType([node.const]);
+        notes.push(`must be ${describeValue(node.const)}`);
+        this.report(path, 'const', 'non-string const moved to description');
+      }
+    }
+
+    // Gemini only accepts string enums
+    if (Array.isArray(node.enum)) {
+      const values = node.enum.filter(value => value !== null);
+      if (values.length < node.enum.length) {
+        result.nullable = true;
+      }
+      if (values.every(value => typeof value === 'string')) {
+        result.enum = values;
+        result.type = result.type || 'string';
+      } else {
+        result.type = result.type || literalType(values);
+        notes.push(`allowed values: ${values.map(describeValue).join(', ')}`);
+        this.report(path, 'enum', 'non-string enum moved to description');
+      }
+    }
+
+    // Object members
+    if (node.properties && typeof node.properties === 'object') {
+      result.properties = {};
+      for (const [name, propertySchema] of Object.entries(node.properties)) {
+        result.properties[name] = this.transpile(propertySchema, path ? `${path}.${name}` : name, refStack);
+      }
+      if (!result.type) {
+        result.type = 'object';
+      }
+    }
+
+    if (Array.isArray(node.required) && result.properties) {
+      const required = node.required.filter(name => name in result.properties);
+      if (required.length > 0) {
+        result.required = required;
+      }
+    }
+
+    // Array items (tuple forms keep only the first item schema)
+    if (node.items !== undefined) {
+      if (Array.isArray(node.items)) {
+        this.report(path, 'items', 'tuple items narrowed to the first item schema');
+        result.items = this.transpile(node.items[0], `${path}[]`, refStack);
+      } else {
+        result.items = this.transpile(node.items, `${path}[]`, refStack);
+      }
+    } else if (Array.isArray(node.prefixItems)) {
+      this.report(path, 'prefixItems', 'tuple items narrowed to the first item schema');
+      result.items = this.transpile(node.prefixItems[0], `${path}[]`, refStack);
+    }
+
+    if (result.type === 'array' && !result.items) {
+      result.items = {};
+    }
+
+    // Move constraints into the description
+    for (const keyword of DESCRIBED_KEYWORDS) {
+      if (node[keyword] !== undefined) {
+        notes.push(`${keyword}: ${describeValue(node[keyword])}`);
+      }
+    }
+
+    // A boolean additionalProperties only toggles strictness, which the
+    // model cannot act on anyway, so only schema-valued ones are reported
+    for (const keyword of LOSSY_KEYWORDS) {
+      if (node[keyword] !== undefined && !(keyword === 'additionalProperties' && typeof node[keyword] === 'boolean')) {
+        this.report(path, keyword, 'keyword not supported by Gemini, removed');
+      }
+    }
+
+    if (notes.length > 0) {
+      result.description = [result.description, `(${notes.join(', ')})`].filter(Boolean).join(' ');
+    }
+
+    return result;
+  }
+
+  // Resolve a $ref'd union/allOf member without transpiling it yet; the
+  // inlined refs are collected in `inlined` so the caller can put them on
+  // the stack. Recursive or too deep refs are left for transpile to cut off.
+  _resolveMember(member, refStack, inlined) {
+    if (member && typeof member === 'object' && member.$ref !== undefined &&
+      !refStack.includes(member.$ref) && refStack.length < MAX_DEPTH) {
+      const target = resolveRef(this.root, member.$ref);
+      if (target !== undefined) {
+        const { $ref, ...siblings } = member;
+        inlined.add($ref);
+        return this._resolveMember({ ...target, ...siblings }, [...refStack, $ref], inlined);
+      }
+    }
+    return member;
+  }
+
+  _transpileUnion(node, keyword, path, refStack) {
+    const { [keyword]: members, ...rest } = node;
+    const inlined = new Set();
+    const resolved = members.map(member => this._resolveMember(member, refStack, inlined));
+
+    const isNull = member => member && (member.type === 'null' || member.const === null ||
+      (Array.isArray(member.enum) && member.enum.length === 1 && member.enum[0] === null));
+    const nonNull = resolved.filter(member => !isNull(member));
+    const nullable = nonNull.length < resolved.length;
+
+    let merged;
+    if (nonNull.length === 0) {
+      merged = { ...rest };
+    } else if (nonNull.length === 1) {
+      // [X, null] → X with nullable
+      merged = mergeAllOf([rest, nonNull[0]]);
+    } else if (nonNull.every(member => typeof member.const === 'string' ||
+      (Array.isArray(member.enum) && member.enum.every(value => typeof value === 'string')))) {
+      // Union of string literals → one enum
+      merged = {
+        ...rest,
+        type: 'string',
+        enum: nonNull.flatMap(member => member.enum || [member.const])
+      };
+    } else if (nonNull.every(member => member.type === 'object' || member.properties)) {
+      // Union of objects → one object whose properties are all optional
+      // except those every alternative requires
+      const required = nonNull
+        .map(member => member.required || [])
+        .reduce((common, list) => common.filter(name => list.includes(name)));
+      merged = mergeAllOf([rest, ...nonNull.map(({ required: _required, ...member }) => member)]);
+      if (required.length > 0) {
+        merged.required = required;
+      }
+      this.report(path, keyword, `${nonNull.length} object alternatives merged into one object`);
+    } else {
+      // Mixed alternatives → keep the first, describe the others
+      const summary = nonNull.map(member => member.type || (member.properties ? 'object' : 'any')).join(' | ');
+      merged = mergeAllOf([rest, nonNull[0]]);
+      merged.description = [merged.description, `(one of: ${summary})`].filter(Boolean).join(' ');
+      this.report(path, keyword, `alternatives ${summary} narrowed to the first`);
+    }
+
+    const result = this.transpile(merged, path, [...refStack, ...inlined]);
+    if (nullable) {
+      result.nullable = true;
+    }
+    return result;
+  }
+}
+
+/**
+ * Transpile a JSON Schema into a Gemini-compatible schema
+ * @param {Object} schema - Original JSON Schema (e.g. a tool input_schema)
+ * @returns {Object} { schema, lossy } where lossy lists { path, keyword, detail }
+ *   for every construct that could not be translated faithfully
+ */
+function transpileSchema(schema) {
+  if (!schema || typeof schema !== 'object') {
+    return { schema: {}, lossy: [] };
+  }
+
+  const transpiler = new SchemaTranspiler(schema);
+  const result = transpiler.transpile(schema);
+  return { schema: result, lossy: transpiler.lossy };
+}
+
+module.exports = {
+  transpileSchema,
+  resolveRef
+};
@@ -2,19 +2,39 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const crypto = require('crypto');
-const { loadConfig, saveConfig, validateConfig, generateApiKey } = require('./config');
+const { loadConfig, saveConfig, validateConfig, generateApiKey, normalizeMcpServer } = require('./config');
 const { hashPassword, verifyPassword, createSession, requireSession, requireApiKey, clearAllSessions } = require('./auth');
 const {
   buildGeminiUrl,
+  globToRegExp,
+  resolveModel,
+  getModelChain,
   claudeToGeminiRequest,
+  buildCountTokensRequest,
+  estimateTokens,
   geminiToClaudeResponse,
   generateMessageId,
   GeminiStreamParser,
+  collectGeminiStream,
   ClaudeStreamConverter,
+  convertUsage,
+  sumUsage,
+  isServerMcpCall,
   formatClaudeSSE,
   initializeMCP,
   getMCPIntegration
 } = require('./proxy');
+const { repairFunctionCalls, buildCorrectionRequest } = require('./tool-validation');
+const {
+  openAIToClaudeRequest,
+  claudeToOpenAIResponse,
+  OpenAIStreamConverter,
+  formatOpenAISSE
+} = require('./openai');
+const { BatchManager } = require('./batches');
+const { PromptCache } = require('./prompt-cache');
+const { fetchWithRetry, getRequestedDelay, RETRYABLE_STATUSES } = require('./retry');
+const { KeyPool, keyId, maskKey } = require('./key-pool');
 
 const app = express();
 const PORT = process.env.PORT || 9000;
@@ -64,13 +84,30 @@ class RequestQueue {
     this.maxConcurrent = maxConcurrent;
     this.minInterval = minInterval;
     this.running = 0;
+    this.waiting = 0; // 等待中的普通优先级任务
     this.lastRequestTime = 0;
   }
 
-  async add(fn) {
+  /**
+   * @param {Function} fn - 要执行的任务
+   * @param {Object} options - { priority: 'low' } 用于批处理等后台任务
+   */
+  async add(fn, options = {}) {
+    const lowPriority = options.priority === 'low';
+
     // 等待并发槽位
-    while (this.running >= this.maxConcurrent) {
-      await new Promise(resolve => setTimeout(resolve, 50));
+    // 低优先级任务只在没有普通任务排队时运行，并至少给交互请求留一个槽位
+    if (lowPriority) {
+      const limit = Math.max(1, this.maxConcurrent - 1);
+      while (this.waiting > 0 || this.running >= limit) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+    } else {
+      this.waiting++;
+      while (this.running >= this.maxConcurrent) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      this.waiting--;
     }
     
     // 等待最小间隔
@@ -101,9 +138,33 @@ const stats = {
   cached: 0,
   errors: 0,
   byType: {},
+  byFormat: {},
+  byModel: {},     // 实际使用的 Gemini 模型
+  byRule: {},      // 命中的路由规则
+  fallbacks: 0,    // 换用备用模型的次数
+  mcpToolCalls: 0, // 服务端执行的MCP工具调用
+  toolValidation: {
+    checked: 0,    // 校验过的工具调用
+    repaired: 0,   // 参数被自动修复的调用
+    invalid: 0,    // 修复后仍不合法的调用
+    reprompted: 0, // 要求模型重新生成的次数
+    recovered: 0   // 重新生成后全部合法的次数
+  },
+  retries: {
+    total: 0,      // 重试次数
+    recovered: 0,  // 重试后成功的请求
+    exhausted: 0,  // 重试用尽仍失败的请求
+    byReason: {}   // 按状态码 / 网络错误统计
+  },
   startTime: Date.now()
 };
 
+function recordToolValidation(validation) {
+  stats.toolValidation.checked += validation.checked;
+  stats.toolValidation.repaired += validation.repaired;
+  stats.toolValidation.invalid += validation.invalid.length;
+}
+
 function identifyRequestType(body) {
   const content = body.messages?.[0]?.content?.[0]?.text || '';
   
@@ -123,11 +184,52 @@ function identifyRequestType(body) {
   return 'NORMAL';
 }
 
+/**
+ * 查找请求匹配的路由规则（config.routingRules，按顺序第一条匹配的生效）
+ * match 中的条件需全部满足：type（请求类型列表）、model（请求模型的通配符）、
+ * contains（首条消息包含的文本，不区分大小写）、hasTools（是否带工具定义）
+ * @returns {Object|null} 路由规则
+ */
+function findRoutingRule(body, requestType) {
+  const firstContent = body.messages?.[0]?.content;
+  const firstText = typeof firstContent === 'string' ? firstContent : firstContent?.[0]?.text || '';
+
+  return (config.routingRules || []).find(({ match = {} }) => {
+    if (match.type && !match.type.includes(requestType)) return false;
+    if (match.model && !globToRegExp(match.model).test(body.model || '')) return false;
+    if (match.contains && !firstText.toLowerCase().includes(match.contains.toLowerCase())) return false;
+    if (typeof match.hasTools === 'boolean' && match.hasTools !== (body.tools?.length > 0)) return false;
+    return true;
+  }) || null;
+}
+
+/**
+ * 应用路由规则的 max_tokens 上限和 temperature
+ * 目标模型和缓存策略由调用方处理；返回新的请求对象
+ */
+function applyRoutingRule(body, rule) {
+  const routed = { ...body };
+  if (rule.maxTokens && (!routed.max_tokens || routed.max_tokens > rule.maxTokens)) {
+    routed.max_tokens = rule.maxTokens;
+  }
+  if (rule.temperature !== undefined) {
+    routed.temperature = rule.temperature;
+  }
+  return routed;
+}
+
 // Load configuration
 let config = loadConfig();
 
-// Initialize MCP integration
-let mcpIntegration = null;
+// API 密钥池（轮换使用 geminiApiKeys，429/403 的密钥暂时冷却）
+const keyPool = new KeyPool();
+keyPool.configure(config);
+
+// 每个 API 请求都带有 request-id 响应头（与 Anthropic 一致）
+app.use('/v1', (req, res, next) => {
+  res.setHeader('request-id', 'req_' + crypto.randomBytes(12).toString('hex'));
+  next();
+});
 
 // Request logging
 app.use((req, res, next) => {
@@ -211,6 +313,9 @@ app.post('/api/config', requireSession, async (req, res) => {
     
     if (saveConfig(validated)) {
       config = validated;
+      upstreamModels.fetchedAt = 0;
+      promptCache.clear();
+      keyPool.configure(config);
       const { adminPassword, ...safeConfig } = config;
       res.json(safeConfig);
     } else {
@@ -278,6 +383,198 @@ app.post('/api/generate-key', requireSession, (req, res) => {
   }
 });
 
+// ==================== API 密钥池 ====================
+app.get('/api/keys', requireSession, (req, res) => {
+  res.json(keyPool.getStats());
+});
+
+// 启用/停用密钥或解除冷却，无需重启
+app.post('/api/keys/:id', requireSession, (req, res) => {
+  try {
+    const { enabled, resetCooldown } = req.body || {};
+    // 旧的单密钥配置还没有 geminiApiKeys
+    const keys = config.geminiApiKeys || (config.geminiApiKey ? [{ key: config.geminiApiKey, enabled: true }] : []);
+    const index = keys.findIndex(item => keyId(item.key) === req.params.id);
+    if (index === -1) {
+      return res.status(404).json({
+        error: { type: 'not_found_error', message: 'API key not found' }
+      });
+    }
+
+    if (typeof enabled === 'boolean') {
+      const geminiApiKeys = keys.map((item, i) => (i === index ? { ...item, enabled } : item));
+      const validated = validateConfig({ ...config, geminiApiKeys });
+      if (!saveConfig(validated)) {
+        return res.status(500).json({
+          error: { type: 'server_error', message: 'Failed to save configuration' }
+        });
+      }
+      config = validated;
+      keyPool.configure(config);
+      console.log(`🔑 密钥 ${maskKey(config.geminiApiKeys[index].key)} 已${enabled ? '启用' : '停用'}`);
+    }
+
+    if (resetCooldown) {
+      keyPool.resetCooldown(req.params.id);
+    }
+
+    res.json(keyPool.getStats());
+  } catch (error) {
+    console.error('Update key error:', error);
+    res.status(400).json({
+      error: { type: 'validation_error', message: error.message }
+    });
+  }
+});
+
+// MCP服务器管理：运行时增删改、连接、断开和重启，修改会写回配置文件
+function mcpNotFound(res, name) {
+  return res.status(404).json({
+    error: { type: 'not_found_error', message: `MCP server not found: ${name}` }
+  });
+}
+
+// 保存新的服务器列表，失败时抛出异常
+function saveMcpServers(mcpServers) {
+  const validated = validateConfig({ ...config, mcpServers });
+  if (!saveConfig(validated)) {
+    throw new Error('Failed to save configuration');
+  }
+  config = validated;
+}
+
+// 旧配置文件可能没有 mcpServers
+function mcpServerConfigs() {
+  return config.mcpServers || [];
+}
+
+function sendMcpError(res, action, error) {
+  console.error(`MCP server ${action} error:`, error);
+  res.status(500).json({
+    error: { type: 'server_error', message: error.message }
+  });
+}
+
+app.get('/api/mcp/servers', requireSession, async (req, res) => {
+  try {
+    const integration = await initializeMCP(config);
+    res.json({ servers: integration.getServers() });
+  } catch (error) {
+    sendMcpError(res, 'list', error);
+  }
+});
+
+// stdio 服务器最近的 stderr 输出
+app.get('/api/mcp/servers/:name/stderr', requireSession, async (req, res) => {
+  try {
+    const lines = (await initializeMCP(config)).getServerStderr(req.params.name);
+    if (!lines) return mcpNotFound(res, req.params.name);
+    res.json({ name: req.params.name, lines });
+  } catch (error) {
+    sendMcpError(res, 'stderr', error);
+  }
+});
+
+app.post('/api/mcp/servers', requireSession, async (req, res) => {
+  const server = normalizeMcpServer(req.body);
+  if (!server) {
+    return res.status(400).json({
+      error: { type: 'validation_error', message: 'name and the url (websocket, http, sse) or command (stdio) of the transport are required' }
+    });
+  }
+  if (mcpServerConfigs().some(item => item.name === server.name)) {
+    return res.status(409).json({
+      error: { type: 'validation_error', message: `MCP server already exists: ${server.name}` }
+    });
+  }
+
+  try {
+    saveMcpServers([...mcpServerConfigs(), server]);
+    const integration = await initializeMCP(config);
+    const state = server.enabled
+      ? await integration.connectServer(server)
+      : await integration.disconnectServer(server.name, server);
+    console.log(`🔌 已添加MCP服务器: ${server.name}`);
+    res.status(201).json(state);
+  } catch (error) {
+    sendMcpError(res, 'add', error);
+  }
+});
+
+app.put('/api/mcp/servers/:name', requireSession, async (req, res) => {
+  const { name } = req.params;
+  const index = mcpServerConfigs().findIndex(item => item.name === name);
+  if (index === -1) return mcpNotFound(res, name);
+
+  // 名称不可修改；url/command 二选一，传入其中一个时替换另一个
+  const current = mcpServerConfigs()[index];
+  const { url, command, args, ...rest } = current;
+  const base = req.body?.url || req.body?.command ? rest : current;
+  const server = normalizeMcpServer({ ...base, ...req.body, name });
+  if (!server) {
+    return res.status(400).json({
+      error: { type: 'validation_error', message: 'url (websocket, http, sse) or command (stdio) is required' }
+    });
+  }
+
+  try {
+    saveMcpServers(mcpServerConfigs().map((item, i) => (i === index ? server : item)));
+    const integration = await initializeMCP(config);
+    const state = server.enabled
+      ? await integration.connectServer(server)
+      : await integration.disconnectServer(name, server);
+    console.log(`🔌 已更新MCP服务器: ${name}`);
+    res.json(state);
+  } catch (error) {
+    sendMcpError(res, 'update', error);
+  }
+});
+
+app.delete('/api/mcp/servers/:name', requireSession, async (req, res) => {
+  const { name } = req.params;
+  if (!mcpServerConfigs().some(item => item.name === name)) return mcpNotFound(res, name);
+
+  try {
+    saveMcpServers(mcpServerConfigs().filter(item => item.name !== name));
+    await (await initializeMCP(config)).removeServer(name);
+    console.log(`🗑️ 已删除MCP服务器: ${name}`);
+    res.json({ name, deleted: true });
+  } catch (error) {
+    sendMcpError(res, 'delete', error);
+  }
+});
+
+// connect/disconnect 同时写回 enabled，重启后保持相同状态
+app.post('/api/mcp/servers/:name/:action(connect|disconnect|restart)', requireSession, async (req, res) => {
+  const { name, action } = req.params;
+  const index = mcpServerConfigs().findIndex(item => item.name === name);
+  if (index === -1) return mcpNotFound(res, name);
+
+  let server = mcpServerConfigs()[index];
+  if (action === 'restart' && server.enabled === false) {
+    return res.status(400).json({
+      error: { type: 'validation_error', message: `MCP server is disconnected: ${name}` }
+    });
+  }
+
+  try {
+    const enabled = action !== 'disconnect';
+    if (server.enabled !== enabled) {
+      server = { ...server, enabled };
+      saveMcpServers(mcpServerConfigs().map((item, i) => (i === index ? server : item)));
+    }
+
+    const integration = await initializeMCP(config);
+    const state = enabled
+      ? await integration.connectServer(server)
+      : await integration.disconnectServer(name, server);
+    console.log(`🔌 MCP服务器 ${name}: ${action} → ${state.state}`);
+    res.json(state);
+  } catch (error) {
+    sendMcpError(res, action, error);
+  }
+});
+
 app.post('/api/change-password', requireSession, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
@@ -318,15 +615,320 @@ app.post('/api/change-password', requireSession, async (req, res) => {
   }
 });
 
+// ==================== 错误格式 ====================
+// Anthropic 错误类型对应的HTTP状态码
+const ERROR_STATUS = {
+  invalid_request_error: 400,
+  authentication_error: 401,
+  permission_error: 403,
+  not_found_error: 404,
+  request_too_large: 413,
+  rate_limit_error: 429,
+  api_error: 500,
+  overloaded_error: 529
+};
+
+// Gemini 状态码对应的 Anthropic 错误类型（503 即 Anthropic 的 529 overloaded）
+const UPSTREAM_ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error',
+  503: 'overloaded_error'
+};
+
+/**
+ * 从 Gemini 错误响应中提取可读的错误信息
+ * @param {number} status - 上游HTTP状态码
+ * @param {string} body - 上游响应正文
+ * @returns {string} 错误信息
+ */
+function upstreamErrorMessage(status, body) {
+  try {
+    const message = JSON.parse(body).error?.message;
+    if (message) return `Gemini API error: ${message}`;
+  } catch {
+    // 非 JSON 响应
+  }
+  return `Gemini API error (HTTP ${status})`;
+}
+
+/**
+ * 发送错误响应
+ * @param {Object} res - Express 响应
+ * @param {string} type - Anthropic 错误类型
+ * @param {string} message - 错误信息
+ * @param {Object} options - { status: 覆盖默认状态码, format: 响应格式（默认 Anthropic） }
+ */
+function sendError(res, type, message, options = {}) {
+  const format = options.format || anthropicFormat;
+  res.status(options.status || ERROR_STATUS[type] || 500)
+    .json(format.errorBody(type, message, res.getHeader('request-id')));
+}
+
+// ==================== 提示缓存 ====================
+// cache_control 标记的前缀映射为 Gemini cachedContents
+const promptCache = new PromptCache();
+
+/**
+ * 发送 generateContent 请求（使用API密钥池，可使用提示缓存）
+ * - 返回 429/403 的密钥进入冷却，立即换用下一个可用密钥
+ * - 使用的 cachedContent 被上游拒绝（已过期或被删除）时，不带缓存重发
+ * - 没有可换的密钥时，429/500/503 和网络错误按 geminiMcpSettings.retryAttempts 退避重试
+ * 在读取响应正文之前完成，因此重试不会向客户端发送任何数据
+ * @param {Object} target - { stream, model, retries }（retries 默认取 geminiMcpSettings.retryAttempts）
+ * @param {Object} geminiRequest - 完整的 Gemini 请求
+ * @param {Object} cached - promptCache.prepare() 的结果（含使用的 apiKey）
+ * @param {AbortSignal} signal - 超时信号
+ * @returns {Promise<Object>} { response, cacheCreated, apiKey }
+ */
+async function sendGenerateRequest(target, geminiRequest, cached, signal) {
+  let apiKey = cached.apiKey;
+  let cacheUsable = Boolean(cached.request.cachedContent);
+  let retried = 0;
+
+  // cachedContent 只能和创建它的密钥一起使用
+  const currentBody = () => (cacheUsable && apiKey === cached.apiKey ? cached.request : geminiRequest);
+
+  const attempt = async () => {
+    if (!keyPool.isAvailable(apiKey)) {
+      apiKey = keyPool.acquire()?.key ?? apiKey;
+    }
+    const tried = new Set();
+
+    for (;;) {
+      const body = currentBody();
+      let response;
+      try {
+        response = await fetch(buildGeminiUrl(config, target.stream, target.model, undefined, apiKey), {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'x-goog-api-client': 'genai-js/0.21.0'
+          },
+          body: JSON.stringify(body),
+          signal
+        });
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          keyPool.report(apiKey, 0);
+        }
+        throw error;
+      }
+
+      if (response.ok || ![400, 403, 404, 429].includes(response.status)) {
+        keyPool.report(apiKey, response.status);
+        return response;
+      }
+
+      const text = await response.text();
+      const failed = new Response(text, { status: response.status, statusText: response.statusText, headers: response.headers });
+
+      if (body.cachedContent && response.status !== 429) {
+        console.warn(`⚠️ 提示缓存不可用 [${response.status}]，不使用缓存重试: ${body.cachedContent}`);
+        promptCache.invalidate(body.cachedContent);
+        cacheUsable = false;
+        continue;
+      }
+
+      keyPool.report(apiKey, response.status, getRequestedDelay(response, text));
+      if (response.status !== 429 && response.status !== 403) {
+        return failed;
+      }
+
+      tried.add(apiKey);
+      if (!keyPool.hasAvailable(tried)) {
+        return failed;
+      }
+      apiKey = keyPool.acquire(tried).key;
+      console.warn(`🔑 密钥不可用 [${response.status}]，换用 ${maskKey(apiKey)}`);
+    }
+  };
+
+  const response = await fetchWithRetry(attempt, {
+    retries: target.retries ?? config.geminiMcpSettings?.retryAttempts ?? 3,
+    signal,
+    onRetry: ({ attempt: number, reason, delayMs }) => {
+      retried++;
+      stats.retries.total++;
+      stats.retries.byReason[reason] = (stats.retries.byReason[reason] || 0) + 1;
+      console.warn(`🔁 上游请求失败 [${reason}]，${delayMs}ms 后第 ${number} 次重试`);
+    }
+  });
+
+  if (retried > 0) {
+    if (response.ok) {
+      stats.retries.recovered++;
+    } else {
+      stats.retries.exhausted++;
+    }
+  }
+
+  return {
+    response,
+    cacheCreated: cached.cacheCreated && currentBody() === cached.request,
+    apiKey
+  };
+}
+
+/**
+ * 按备用模型链发送请求
+ * 模型返回可重试的错误（429/500/503）时立即换用链中的下一个模型，
+ * 只有最后一个模型会退避重试。提示缓存按模型分别准备。
+ * @param {string} requestedModel - 请求的模型（或路由规则指定的模型）
+ * @param {Object} geminiRequest - 完整的 Gemini 请求
+ * @param {Object} options - { stream, apiKey（从密钥池取得）, signal（超时信号）, promptCaching（默认 true） }
+ * @returns {Promise<Object>} { response, cacheCreated, apiKey, model }
+ */
+async function sendWithFallback(requestedModel, geminiRequest, { stream, apiKey, signal, promptCaching = true }) {
+  const chain = getModelChain(config, requestedModel);
+
+  for (const [index, model] of chain.entries()) {
+    const isLast = index === chain.length - 1;
+    const cached = promptCaching
+      ? await promptCache.prepare(geminiRequest, config, model, apiKey)
+      : { request: geminiRequest, cacheCreated: false, apiKey };
+    const result = await sendGenerateRequest(
+      { stream, model, retries: isLast ? undefined : 0 },
+      geminiRequest,
+      cached,
+      signal
+    );
+
+    if (result.response.ok || isLast || !RETRYABLE_STATUSES.includes(result.response.status)) {
+      stats.byModel[model] = (stats.byModel[model] || 0) + 1;
+      return { ...result, model };
+    }
+
+    await result.response.body?.cancel();
+    stats.fallbacks++;
+    console.warn(`⤵️ 模型 ${model} 不可用 [${result.response.status}]，改用备用模型 ${chain[index + 1]}`);
+    apiKey = result.apiKey;
+  }
+}
+
+/**
+ * 停止序列由代理匹配（不转发给 Gemini），带停止序列的非流式请求也以流式请求上游，
+ * 命中后即中止生成，不必等到 max_tokens
+ */
+function hasStopSequences(claudeRequest) {
+  return Array.isArray(claudeRequest.stop_sequences) && claudeRequest.stop_sequences.length > 0;
+}
+
+// 读取非流式请求的上游响应；以流式请求的合并为一个响应
+function readGeminiResponse(response, claudeRequest) {
+  return hasStopSequences(claudeRequest)
+    ? collectGeminiStream(response.body, claudeRequest.stop_sequences)
+    : response.json();
+}
+
+// ==================== 服务端 MCP 工具循环 ====================
+/**
+ * 执行一轮 MCP 工具调用，并把模型回合和 functionResponse 追加到 Gemini 请求
+ * @param {Object} geminiRequest - Gemini 请求（原地追加 contents）
+ * @param {Array} modelParts - 本轮 Gemini 返回的全部 parts
+ * @param {Array} calls - [{ id（mcp_tool_use 块 id）, functionCall }]
+ * @returns {Promise<Array>} [{ id, isError, text }]
+ */
+async function runMcpTools(geminiRequest, modelParts, calls) {
+  console.log(`🔧 服务端执行 ${calls.length} 个MCP工具: ${calls.map(call => call.functionCall.name).join(', ')}`);
+  const results = await getMCPIntegration().executeFunctionCalls(calls.map(call => call.functionCall));
+  stats.mcpToolCalls += results.length;
+
+  geminiRequest.contents.push(
+    { role: 'model', parts: modelParts },
+    {
+      role: 'user',
+      parts: results.map(({ functionCall, isError, text }) => ({
+        functionResponse: {
+          name: functionCall.name,
+          response: isError ? { error: true, error_message: text } : { result: text },
+          ...(functionCall.id ? { id: functionCall.id } : {})
+        }
+      }))
+    }
+  );
+
+  return results.map((result, index) => ({ id: calls[index].id, isError: result.isError, text: result.text }));
+}
+
+// MCP 工具结果的 Claude 内容块
+function toMcpResultBlocks(results) {
+  return results.map(result => ({
+    type: 'mcp_tool_result',
+    tool_use_id: result.id,
+    is_error: result.isError,
+    content: [{ type: 'text', text: result.text }]
+  }));
+}
+
 // ==================== 优化的代理端点 ====================
-app.post('/v1/messages', requireApiKey(config), async (req, res) => {
+// Claude 格式响应（/v1/messages）
+const anthropicFormat = {
+  name: 'anthropic',
+  setHeaders(res) {
+    res.setHeader('anthropic-version', '2023-06-01');
+  },
+  formatResponse: (claudeResponse) => claudeResponse,
+  errorBody: (type, message, requestId) => ({
+    type: 'error',
+    error: { type, message },
+    request_id: requestId
+  }),
+  createStream: () => ({
+    write: (event, data) => formatClaudeSSE(event, data),
+    error: (type, message) => formatClaudeSSE('error', { type: 'error', error: { type, message } }),
+    end: () => ''
+  })
+};
+
+// OpenAI 格式响应（/v1/chat/completions）
+function openAIFormat(body) {
+  return {
+    name: 'openai',
+    setHeaders() {},
+    formatResponse: claudeToOpenAIResponse,
+    errorBody: (type, message) => ({
+      error: { message, type, param: null, code: null }
+    }),
+    createStream(model, messageId) {
+      const converter = new OpenAIStreamConverter(model, messageId, {
+        includeUsage: body.stream_options?.include_usage === true
+      });
+      return {
+        write: (event, data) => converter.convertEvent(event, data).map(formatOpenAISSE).join(''),
+        error: (type, message) => formatOpenAISSE({ error: { message, type, param: null, code: null } }),
+        end: () => 'data: [DONE]\n\n'
+      };
+    }
+  };
+}
+
+/**
+ * 处理Claude格式的请求（Anthropic 和 OpenAI 入口共用缓存、队列和统计）
+ * @param {Object} claudeRequest - Claude API 请求
+ * @param {Object} res - Express 响应
+ * @param {Object} format - 响应格式（anthropicFormat 或 openAIFormat）
+ */
+async function handleClaudeRequest(claudeRequest, res, format) {
   stats.total++;
-  const requestType = identifyRequestType(req.body);
+  stats.byFormat[format.name] = (stats.byFormat[format.name] || 0) + 1;
+  const requestType = identifyRequestType(claudeRequest);
   stats.byType[requestType] = (stats.byType[requestType] || 0) + 1;
   
   try {
-    const claudeRequest = req.body;
-    
+    // 按路由规则选择模型、max_tokens 上限、temperature 和缓存策略
+    const rule = findRoutingRule(claudeRequest, requestType);
+    if (rule) {
+      stats.byRule[rule.name] = (stats.byRule[rule.name] || 0) + 1;
+      console.log(`🧭 路由规则 [${rule.name}] → ${rule.model || claudeRequest.model || '默认模型'}`);
+      claudeRequest = applyRoutingRule(claudeRequest, rule);
+    }
+    const targetModel = rule?.model || claudeRequest.model;
+    const useCache = rule?.cache !== false;
+
     // 🔥 关键优化：只移除明确不需要工具的请求类型的工具定义
     // 保留所有正常编程请求的工具！
     const originalToolCount = claudeRequest.tools?.length || 0;
@@ -342,20 +944,27 @@ app.post('/v1/messages', requireApiKey(config), async (req, res) => {
     }
     const messageId = generateMessageId();
     const isStreaming = claudeRequest.stream === true;
+    const responseOptions = {
+      stopSequences: claudeRequest.stop_sequences,
+      disableParallelToolUse: claudeRequest.tool_choice?.disable_parallel_tool_use === true,
+      tools: claudeRequest.tools,
+      // MCP 工具由代理执行（见 runMcpTools），不返回给客户端
+      executeMcpTools: Boolean(getMCPIntegration()?.initialized && getMCPIntegration().availableTools.size > 0)
+    };
     
-    // 生成缓存键
-    const cacheKey = cache.generateKey(claudeRequest);
+    // 生成缓存键（包含路由后的目标模型）
+    const cacheKey = cache.generateKey({ ...claudeRequest, targetModel });
     
     // 检查缓存（只缓存非流式请求）
-    if (!isStreaming) {
+    if (!isStreaming && useCache) {
       const cachedResponse = cache.get(cacheKey);
       if (cachedResponse) {
         stats.cached++;
         console.log(`✅ 缓存命中 [${requestType}] - 命中率: ${cache.getHitRate()}%`);
         res.setHeader('Content-Type', 'application/json');
-        res.setHeader('anthropic-version', '2023-06-01');
+        format.setHeaders(res);
         res.setHeader('X-Cache', 'HIT');
-        return res.json(cachedResponse);
+        return res.json(format.formatResponse(cachedResponse));
       }
     }
     
@@ -363,80 +972,47 @@ app.post('/v1/messages', requireApiKey(config), async (req, res) => {
     
     // 使用队列处理请求
     await queue.add(async () => {
-      const geminiRequest = claudeToGeminiRequest(claudeRequest);
-      const geminiUrl = buildGeminiUrl(config, isStreaming, claudeRequest.model);
+      const keyEntry = keyPool.acquire();
+      if (!keyEntry) {
+        stats.errors++;
+        return sendError(res, 'api_error', 'No Gemini API key configured', { format });
+      }
+
+      const geminiRequest = claudeToGeminiRequest(claudeRequest, config.geminiMcpSettings);
       
       const controller = new AbortController();
       const timeout = setTimeout(() => controller.abort(), 60000);
       
       let response;
+      let apiKey;
+      let usedModel;
       try {
-        response = await fetch(geminiUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-goog-api-client': 'genai-js/0.21.0'
-          },
-          body: JSON.stringify(geminiRequest),
-          signal: controller.signal
-        });
+        ({ response, cacheCreated: responseOptions.cacheCreated, apiKey, model: usedModel } =
+          await sendWithFallback(targetModel, geminiRequest, {
+            stream: isStreaming || hasStopSequences(claudeRequest),
+            apiKey: keyEntry.key,
+            signal: controller.signal,
+            promptCaching: useCache
+          }));
         clearTimeout(timeout);
       } catch (fetchError) {
         clearTimeout(timeout);
         if (fetchError.name === 'AbortError') {
           stats.errors++;
           console.error('❌ 请求超时');
-          return res.status(504).json({
-            error: { type: 'timeout_error', message: 'Request timeout' }
-          });
+          return sendError(res, 'api_error', 'Request to Gemini API timed out', { status: 504, format });
         }
         throw fetchError;
       }
+      res.setHeader('X-Gemini-Model', usedModel);
       
       if (!response.ok) {
         stats.errors++;
         const error = await response.text();
         console.error(`❌ Gemini API 错误 [${response.status}]:`, error);
         
-        // Map Gemini error codes to Claude error types
-        const errorMap = {
-          400: {
-            type: 'invalid_request_error',
-            message: 'Invalid request parameters',
-            hint: 'Check tool definitions and request format'
-          },
-          401: {
-            type: 'authentication_error',
-            message: 'Invalid API key',
-            hint: 'Verify your Gemini API key is correct'
-          },
-          403: {
-            type: 'permission_error',
-            message: 'Permission denied',
-            hint: 'Check API key permissions'
-          },
-          429: {
-            type: 'rate_limit_error',
-            message: 'API rate limit exceeded',
-            hint: 'Reduce request frequency or upgrade quota'
-          },
-          500: {
-            type: 'api_error',
-            message: 'Gemini API internal error',
-            hint: 'This is a Gemini server issue, try again later'
-          },
-          503: {
-            type: 'overloaded_error',
-            message: 'Gemini API temporarily unavailable',
-            hint: 'Service is overloaded, retry with exponential backoff'
-          }
-        };
-        
-        const mapped = errorMap[response.status] || {
-          type: 'api_error',
-          message: 'Unknown Gemini API error',
-          hint: 'Check Gemini API status'
-        };
+        // Map Gemini status codes to Anthropic error types and statuses
+        const errorType = UPSTREAM_ERROR_TYPES[response.status] || 'api_error';
         
         // Enhanced debugging for tool-related errors
         if ((response.status === 400 || response.status === 500) && geminiRequest.tools) {
@@ -450,7 +1026,8 @@ app.post('/v1/messages', requireApiKey(config), async (req, res) => {
           
           if (hasFunctionResponse) {
             console.error('   ⚠️  Request contains functionResponse');
-            console.error('   This should NOT have tools definition (Gemini limitation)');
+            console.error('   If this upstream rejects tools alongside function responses,');
+            console.error('   enable geminiMcpSettings.stripToolsOnFunctionResponse');
           }
           
           // Check each tool for suspicious fields
@@ -480,87 +1057,493 @@ app.post('/v1/messages', requireApiKey(config), async (req, res) => {
           }
         }
         
-        // Return Claude-compatible error
-        return res.status(502).json({
-          error: { 
-            type: mapped.type,
-            message: mapped.message,
-            details: error,
-            hint: mapped.hint
-          }
-        });
+        return sendError(res, errorType, upstreamErrorMessage(response.status, error), { format });
       }
       
+      const converterModel = claudeRequest.model || config.defaultGeminiModel || 'gemini-2.5-flash';
+      const maxToolIterations = config.geminiMcpSettings?.maxToolIterations ?? 5;
+
+      // MCP 工具循环的后续请求（同一模型链和密钥池）
+      const continueMcpRequest = async (stream) => {
+        const next = await sendWithFallback(targetModel, geminiRequest, {
+          stream: stream || hasStopSequences(claudeRequest),
+          apiKey,
+          signal: AbortSignal.timeout(60000),
+          promptCaching: useCache
+        });
+        apiKey = next.apiKey;
+        // X-Gemini-Model 应为最后作答的模型；流式响应的头已经发出，只能记录日志
+        if (next.model !== usedModel) {
+          usedModel = next.model;
+          if (!res.headersSent) {
+            res.setHeader('X-Gemini-Model', usedModel);
+          } else {
+            console.warn(`⚠️ MCP后续请求改由 ${usedModel} 作答，流式响应头中的模型未更新`);
+          }
+        }
+        if (!next.response.ok) {
+          const error = new Error(upstreamErrorMessage(next.response.status, await next.response.text()));
+          error.type = UPSTREAM_ERROR_TYPES[next.response.status] || 'api_error';
+          throw error;
+        }
+        return next;
+      };
+
       if (isStreaming) {
         res.setHeader('Content-Type', 'text/event-stream');
         res.setHeader('Cache-Control', 'no-cache');
         res.setHeader('Connection', 'keep-alive');
-        res.setHeader('anthropic-version', '2023-06-01');
-        
-        const parser = new GeminiStreamParser();
-        const converter = new ClaudeStreamConverter(claudeRequest.model || config.defaultGeminiModel || 'gemini-2.5-flash', messageId);
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
+        format.setHeaders(res);
         
-        try {
+        const converter = new ClaudeStreamConverter(
+          converterModel,
+          messageId,
+          responseOptions
+        );
+        const stream = format.createStream(converter.model, messageId);
+        const writeEvents = events => {
+          for (const { event, data } of events) {
+            res.write(stream.write(event, data));
+          }
+        };
+
+        // 把一个 Gemini 流式响应转换后写给客户端
+        const pipeResponse = async (geminiStream) => {
+          const parser = new GeminiStreamParser();
+          const reader = geminiStream.body.getReader();
+          const decoder = new TextDecoder();
+
           while (true) {
             const { done, value } = await reader.read();
             if (done) break;
             
             const chunk = decoder.decode(value, { stream: true });
-            const events = parser.parse(chunk);
-            
-            for (const geminiData of events) {
-              const claudeEvents = converter.convertChunk(geminiData);
-              for (const { event, data } of claudeEvents) {
-                res.write(formatClaudeSSE(event, data));
-              }
+            for (const geminiData of parser.parse(chunk)) {
+              writeEvents(converter.convertChunk(geminiData));
+            }
+
+            // 命中停止序列后不再需要后续输出，提前结束上游流
+            if (converter.matchedStopSequence !== null) {
+              await reader.cancel().catch(() => {});
+              return;
             }
           }
           
-          const finalEvents = converter.finalize();
-          for (const { event, data } of finalEvents) {
-            res.write(formatClaudeSSE(event, data));
+          for (const geminiData of parser.flush()) {
+            writeEvents(converter.convertChunk(geminiData));
+          }
+        };
+        
+        try {
+          await pipeResponse(response);
+
+          // 服务端执行 MCP 工具，结果作为 mcp_tool_result 块流式返回后继续请求 Gemini
+          let pauseTurn = false;
+          for (let iteration = 1; converter.mcpCalls.length > 0; iteration++) {
+            const results = await runMcpTools(geminiRequest, converter.modelParts, converter.mcpCalls);
+            writeEvents(converter.continueWithMcpResults(results));
+
+            // 需要客户端执行工具或已达到迭代上限时结束本轮
+            if (converter.hasToolUse || converter.matchedStopSequence !== null) break;
+            if (iteration >= maxToolIterations) {
+              console.warn(`⚠️ MCP工具循环达到上限 (${maxToolIterations} 轮)，返回 pause_turn`);
+              pauseTurn = true;
+              break;
+            }
+
+            const next = await continueMcpRequest(true);
+            converter.cacheCreated = next.cacheCreated;
+            await pipeResponse(next.response);
           }
+
+          writeEvents(converter.finalize({ pauseTurn }));
+          res.write(stream.end());
+          recordToolValidation(converter.toolValidation);
+          keyPool.recordUsage(apiKey, converter.totalUsage());
           
           res.end();
         } catch (streamError) {
           console.error('❌ 流错误:', streamError);
-          res.write(formatClaudeSSE('error', {
-            type: 'stream_error',
-            message: streamError.message
-          }));
+          res.write(stream.error(streamError.type || 'api_error', streamError.message));
           res.end();
         }
       } else {
-        const geminiResponse = await response.json();
+        let geminiResponse = await readGeminiResponse(response, claudeRequest);
+
+        // 服务端执行 MCP 工具并继续请求，直到只剩文本或客户端工具调用
+        const earlier = { content: [], usage: null }; // 之前各轮的内容块和用量
+        let trailingResults = [];                      // 最后一轮已执行但不再继续的结果
+        let pauseTurn = false;
+        for (let iteration = 1; responseOptions.executeMcpTools; iteration++) {
+          const step = geminiToClaudeResponse(geminiResponse, converterModel, messageId, responseOptions);
+          const mcpParts = (geminiResponse.candidates?.[0]?.content?.parts || [])
+            .filter(part => part.functionCall && isServerMcpCall(part.functionCall, responseOptions));
+          const calls = step.content
+            .filter(block => block.type === 'mcp_tool_use')
+            .map((block, index) => ({ id: block.id, functionCall: mcpParts[index].functionCall }));
+          if (calls.length === 0) break;
+
+          const results = await runMcpTools(geminiRequest, geminiResponse.candidates[0].content.parts, calls);
+          if (step.stop_reason === 'tool_use' || step.stop_sequence !== null || iteration >= maxToolIterations) {
+            trailingResults = results;
+            pauseTurn = step.stop_reason !== 'tool_use' && step.stop_sequence === null;
+            if (pauseTurn) {
+              console.warn(`⚠️ MCP工具循环达到上限 (${maxToolIterations} 轮)，返回 pause_turn`);
+            }
+            break;
+          }
+
+          earlier.content.push(...step.content, ...toMcpResultBlocks(results));
+          earlier.usage = sumUsage(earlier.usage, step.usage);
+          const next = await continueMcpRequest(false);
+          responseOptions.cacheCreated = next.cacheCreated;
+          geminiResponse = await readGeminiResponse(next.response, claudeRequest);
+        }
+        const usedMcpTools = earlier.content.length > 0 || trailingResults.length > 0;
+
+        // 按客户端原始schema校验并修复工具调用参数
+        const validation = repairFunctionCalls(geminiResponse.candidates?.[0]?.content?.parts, claudeRequest.tools);
+        recordToolValidation(validation);
+
+        // 仍不合法时可选地让模型重新生成一次（已执行的 MCP 结果需对应原响应，此时不重新生成）
+        // 流式响应的工具调用在校验时已发给客户端，因此只对非流式请求生效
+        if (validation.invalid.length > 0 && config.geminiMcpSettings?.repromptInvalidToolCalls && trailingResults.length === 0) {
+          stats.toolValidation.reprompted++;
+          console.log(`🔁 ${validation.invalid.length} 个工具调用参数不合法，要求模型修正...`);
+
+          try {
+            const correctionRequest = buildCorrectionRequest(
+              geminiRequest,
+              geminiResponse.candidates[0].content,
+              validation.invalid
+            );
+            const retry = await sendWithFallback(targetModel, correctionRequest, {
+              stream: hasStopSequences(claudeRequest),
+              apiKey,
+              signal: AbortSignal.timeout(60000),
+              promptCaching: useCache
+            });
+            apiKey = retry.apiKey;
+            const retryResponse = retry.response;
+
+            if (retryResponse.ok) {
+              const retryData = await readGeminiResponse(retryResponse, claudeRequest);
+              const retryValidation = repairFunctionCalls(retryData.candidates?.[0]?.content?.parts, claudeRequest.tools);
+              recordToolValidation(retryValidation);
+
+              if (retryValidation.invalid.length < validation.invalid.length) {
+                geminiResponse = retryData;
+                responseOptions.cacheCreated = retry.cacheCreated;
+                usedModel = retry.model;
+                res.setHeader('X-Gemini-Model', usedModel);
+              }
+              if (retryValidation.invalid.length === 0) {
+                stats.toolValidation.recovered++;
+                console.log('✅ 模型已修正工具调用参数');
+              }
+            } else {
+              console.warn(`⚠️ 修正请求失败 [${retryResponse.status}]，返回原始结果`);
+            }
+          } catch (retryError) {
+            console.warn('⚠️ 修正请求异常，返回原始结果:', retryError.message);
+          }
+        }
+
         const claudeResponse = geminiToClaudeResponse(
           geminiResponse, 
-          claudeRequest.model || config.defaultGeminiModel || 'gemini-2.5-flash',
-          messageId
+          converterModel,
+          messageId,
+          responseOptions
         );
+        if (usedMcpTools) {
+          claudeResponse.content = [...earlier.content, ...claudeResponse.content, ...toMcpResultBlocks(trailingResults)];
+          if (earlier.usage) {
+            claudeResponse.usage = sumUsage(earlier.usage, claudeResponse.usage);
+          }
+          if (pauseTurn) {
+            claudeResponse.stop_reason = 'pause_turn';
+          }
+        }
+        keyPool.recordUsage(apiKey, claudeResponse.usage);
         
-        // 存入缓存
-        cache.set(cacheKey, claudeResponse);
+        // 存入缓存（执行过 MCP 工具的响应不缓存，工具结果可能变化）
+        const cacheable = useCache && !usedMcpTools;
+        if (cacheable) {
+          cache.set(cacheKey, claudeResponse);
+        }
         
-        console.log(`✅ 请求完成 [${requestType}] - 缓存已更新`);
+        console.log(`✅ 请求完成 [${requestType}]${cacheable ? ' - 缓存已更新' : ''}`);
         
         res.setHeader('Content-Type', 'application/json');
-        res.setHeader('anthropic-version', '2023-06-01');
-        res.setHeader('X-Cache', 'MISS');
-        res.json(claudeResponse);
+        format.setHeaders(res);
+        res.setHeader('X-Cache', cacheable ? 'MISS' : 'BYPASS');
+        res.json(format.formatResponse(claudeResponse));
       }
     });
     
   } catch (error) {
     stats.errors++;
     console.error('❌ 代理错误:', error);
-    res.status(500).json({
-      error: { type: 'server_error', message: error.message }
-    });
+    if (res.headersSent) {
+      return res.end();
+    }
+    sendError(res, 'api_error', error.message, { format });
   }
+}
+
+app.post('/v1/messages', requireApiKey(config), (req, res) => handleClaudeRequest(req.body, res, anthropicFormat));
+
+// ==================== OpenAI 兼容端点 ====================
+app.post('/v1/chat/completions', requireApiKey(config), (req, res) => {
+  let claudeRequest;
+  const format = openAIFormat(req.body);
+  try {
+    claudeRequest = openAIToClaudeRequest(req.body);
+  } catch (error) {
+    console.error('❌ OpenAI 请求转换失败:', error.message);
+    return sendError(res, error.type || 'invalid_request_error', error.message, { status: error.statusCode, format });
+  }
+  return handleClaudeRequest(claudeRequest, res, format);
+});
+
+// ==================== Token 计数端点 ====================
+app.post('/v1/messages/count_tokens', requireApiKey(config), async (req, res) => {
+  try {
+    const claudeRequest = req.body;
+    const geminiRequest = claudeToGeminiRequest(claudeRequest, config.geminiMcpSettings);
+    const modelName = resolveModel(config, claudeRequest.model);
+
+    res.setHeader('anthropic-version', '2023-06-01');
+
+    try {
+      const apiKey = keyPool.acquire()?.key ?? config.geminiApiKey;
+      const response = await fetch(buildGeminiUrl(config, false, claudeRequest.model, 'countTokens', apiKey), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-goog-api-client': 'genai-js/0.21.0'
+        },
+        body: JSON.stringify(buildCountTokensRequest(geminiRequest, modelName)),
+        signal: AbortSignal.timeout(10000)
+      });
+
+      if (response.ok) {
+        const result = await response.json();
+        if (Number.isInteger(result.totalTokens)) {
+          res.setHeader('X-Token-Count-Source', 'gemini');
+          return res.json({ input_tokens: result.totalTokens });
+        }
+      } else {
+        console.warn(`⚠️ countTokens 失败 [${response.status}]，使用本地估算`);
+      }
+    } catch (upstreamError) {
+      console.warn('⚠️ countTokens 不可用，使用本地估算:', upstreamError.message);
+    }
+
+    res.setHeader('X-Token-Count-Source', 'estimate');
+    res.json({ input_tokens: estimateTokens(geminiRequest) });
+  } catch (error) {
+    console.error('❌ Token 计数错误:', error);
+    sendError(res, 'api_error', error.message);
+  }
+});
+
+// ==================== 模型列表端点 ====================
+// 上游模型列表缓存10分钟
+let upstreamModels = { list: [], fetchedAt: 0 };
+
+async function fetchUpstreamModels() {
+  if (Date.now() - upstreamModels.fetchedAt < 10 * 60 * 1000) {
+    return upstreamModels.list;
+  }
+
+  const apiKey = keyPool.acquire()?.key ?? config.geminiApiKey;
+  const response = await fetch(`${config.geminiApiUrl}/models?key=${apiKey}&pageSize=1000`, {
+    headers: { 'x-goog-api-client': 'genai-js/0.21.0' },
+    signal: AbortSignal.timeout(10000)
+  });
+  if (!response.ok) {
+    throw new Error(`Gemini models list failed [${response.status}]`);
+  }
+
+  const data = await response.json();
+  const list = (data.models || [])
+    .filter(model => !model.supportedGenerationMethods ||
+      model.supportedGenerationMethods.includes('generateContent'))
+    .map(model => ({
+      id: model.name.replace(/^models\//, ''),
+      displayName: model.displayName || model.name
+    }));
+
+  upstreamModels = { list, fetchedAt: Date.now() };
+  return list;
+}
+
+// Anthropic 风格的模型列表（同时带有 OpenAI 客户端需要的字段）
+app.get('/v1/models', requireApiKey(config), async (req, res) => {
+  const createdAt = new Date(stats.startTime).toISOString();
+  const toEntry = (id, displayName) => ({
+    type: 'model',
+    id,
+    display_name: displayName,
+    created_at: createdAt,
+    object: 'model',
+    created: Math.floor(stats.startTime / 1000),
+    owned_by: 'gemini-claude-proxy'
+  });
+
+  // 只列出可直接请求的具体模型ID：不含通配符的别名、默认模型、别名目标和上游模型
+  const data = [];
+  const listed = new Set();
+  const add = (id, displayName) => {
+    if (!id || listed.has(id)) return;
+    listed.add(id);
+    data.push(toEntry(id, displayName || id));
+  };
+
+  for (const alias of config.modelAliases || []) {
+    if (!/[*?]/.test(alias.pattern)) {
+      add(alias.pattern, `${alias.pattern} → ${alias.model}`);
+    }
+  }
+  add(config.defaultGeminiModel);
+  for (const alias of config.modelAliases || []) {
+    add(alias.model);
+  }
+
+  try {
+    const upstream = await fetchUpstreamModels();
+    upstream.forEach(model => add(model.id, model.displayName));
+  } catch (error) {
+    console.warn('⚠️ 获取上游模型列表失败:', error.message);
+  }
+
+  res.setHeader('anthropic-version', '2023-06-01');
+  res.json({
+    object: 'list',
+    data,
+    has_more: false,
+    first_id: data[0]?.id || null,
+    last_id: data[data.length - 1]?.id || null
+  });
 });
 
+// ==================== 批处理端点 ====================
+/**
+ * 执行单个批处理请求（非流式），返回Claude格式响应
+ * 由 BatchManager 在低优先级队列任务中调用，失败时抛出带 type 的错误
+ */
+async function executeBatchRequest(claudeRequest) {
+  stats.total++;
+  stats.byFormat.batch = (stats.byFormat.batch || 0) + 1;
+  const requestType = identifyRequestType(claudeRequest);
+  stats.byType[requestType] = (stats.byType[requestType] || 0) + 1;
+
+  const rule = findRoutingRule(claudeRequest, requestType);
+  if (rule) {
+    stats.byRule[rule.name] = (stats.byRule[rule.name] || 0) + 1;
+    claudeRequest = applyRoutingRule(claudeRequest, rule);
+  }
+
+  const keyEntry = keyPool.acquire();
+  if (!keyEntry) {
+    stats.errors++;
+    const error = new Error('No Gemini API key configured');
+    error.type = 'api_error';
+    throw error;
+  }
+
+  // 批处理不执行服务端 MCP 工具循环，因此不声明 MCP 工具
+  const geminiRequest = claudeToGeminiRequest(claudeRequest, { ...config.geminiMcpSettings, includeMcpTools: false });
+  const { response, cacheCreated, apiKey } = await sendWithFallback(rule?.model || claudeRequest.model, geminiRequest, {
+    stream: hasStopSequences(claudeRequest),
+    apiKey: keyEntry.key,
+    signal: AbortSignal.timeout(60000),
+    promptCaching: rule?.cache !== false
+  });
+
+  if (!response.ok) {
+    stats.errors++;
+    const details = await response.text();
+    console.error(`❌ 批处理请求失败 [${response.status}]:`, details);
+    const error = new Error(upstreamErrorMessage(response.status, details));
+    error.type = UPSTREAM_ERROR_TYPES[response.status] || 'api_error';
+    throw error;
+  }
+
+  const geminiResponse = await readGeminiResponse(response, claudeRequest);
+  recordToolValidation(repairFunctionCalls(geminiResponse.candidates?.[0]?.content?.parts, claudeRequest.tools));
+
+  const message = geminiToClaudeResponse(
+    geminiResponse,
+    claudeRequest.model || config.defaultGeminiModel || 'gemini-2.5-flash',
+    generateMessageId(),
+    {
+      stopSequences: claudeRequest.stop_sequences,
+      disableParallelToolUse: claudeRequest.tool_choice?.disable_parallel_tool_use === true,
+      tools: claudeRequest.tools,
+      cacheCreated
+    }
+  );
+  keyPool.recordUsage(apiKey, message.usage);
+  return message;
+}
+
+const batches = new BatchManager({ execute: executeBatchRequest, queue });
+
+// 批处理对象附带结果地址（仅在处理结束后）
+function formatBatch(batch, req) {
+  return {
+    ...batch,
+    results_url: batch.processing_status === 'ended'
+      ? `${req.protocol}://${req.get('host')}/v1/messages/batches/${batch.id}/results`
+      : null
+  };
+}
+
+// 包装批处理路由，统一设置响应头和错误格式
+function batchRoute(handler) {
+  return (req, res) => {
+    res.setHeader('anthropic-version', '2023-06-01');
+    try {
+      handler(req, res);
+    } catch (error) {
+      if (!error.statusCode) {
+        console.error('❌ 批处理错误:', error);
+      }
+      sendError(res, error.type || 'api_error', error.message, { status: error.statusCode });
+    }
+  };
+}
+
+app.post('/v1/messages/batches', requireApiKey(config), batchRoute((req, res) => {
+  const { id } = batches.create(req.body?.requests);
+  res.json(formatBatch(batches.get(id), req));
+}));
+
+app.get('/v1/messages/batches', requireApiKey(config), batchRoute((req, res) => {
+  const page = batches.list(req.query);
+  res.json({ ...page, data: page.data.map(batch => formatBatch(batch, req)) });
+}));
+
+app.get('/v1/messages/batches/:id', requireApiKey(config), batchRoute((req, res) => {
+  res.json(formatBatch(batches.get(req.params.id), req));
+}));
+
+app.post('/v1/messages/batches/:id/cancel', requireApiKey(config), batchRoute((req, res) => {
+  res.json(formatBatch(batches.cancel(req.params.id), req));
+}));
+
+app.get('/v1/messages/batches/:id/results', requireApiKey(config), batchRoute((req, res) => {
+  const results = batches.results(req.params.id);
+  res.setHeader('Content-Type', 'application/x-jsonl');
+  res.send(results);
+}));
+
+app.delete('/v1/messages/batches/:id', requireApiKey(config), batchRoute((req, res) => {
+  res.json(batches.delete(req.params.id));
+}));
+
 // 统计端点
 app.get('/api/stats', (req, res) => {
   const elapsed = (Date.now() - stats.startTime) / 1000;
@@ -574,28 +1557,38 @@ app.get('/api/stats', (req, res) => {
     rate: `${rate} req/s`,
     cacheHitRate: `${cache.getHitRate()}%`,
     byType: stats.byType,
+    byFormat: stats.byFormat,
+    byModel: stats.byModel,
+    byRule: stats.byRule,
+    fallbacks: stats.fallbacks,
+    mcpToolCalls: stats.mcpToolCalls,
+    toolValidation: stats.toolValidation,
+    retries: stats.retries,
+    promptCache: promptCache.getStats(),
+    apiKeys: {
+      total: keyPool.keys.length,
+      active: keyPool.getStats().keys.filter(item => item.status === 'active').length
+    },
     queue: {
       running: queue.running,
+      waiting: queue.waiting,
       maxConcurrent: queue.maxConcurrent
-    }
+    },
+    batches: batches.batches.size
   });
 });
 
 // Error handling
+// body-parser 等中间件的错误（如 JSON 格式错误、请求体过大）
 app.use((err, req, res, next) => {
   console.error('Error:', err.message);
-  res.status(err.statusCode || 500).json({
-    error: {
-      type: err.type || 'server_error',
-      message: err.message || 'Internal server error'
-    }
-  });
+  const status = err.statusCode || err.status || 500;
+  const type = status === 413 ? 'request_too_large' : status < 500 ? 'invalid_request_error' : 'api_error';
+  sendError(res, type, err.message || 'Internal server error', { status });
 });
 
 app.use((req, res) => {
-  res.status(404).json({
-    error: { type: 'not_found', message: 'Endpoint not found' }
-  });
+  sendError(res, 'not_found_error', 'Endpoint not found');
 });
 
 // Start server
@@ -604,10 +1597,10 @@ app.listen(PORT, async () => {
   console.log('🚀 Gemini-Claude MCP桥接服务器');
   console.log('═'.repeat(80));
 
-  // Initialize MCP integration if configured
+  // 初始化MCP集成；没有配置服务器时也创建，之后可通过 /api/mcp/servers 添加
   try {
+    await initializeMCP(config);
     if (config.mcpServers && config.mcpServers.length > 0) {
-      mcpIntegration = await initializeMCP(config);
       console.log('✅ MCP集成已启动');
     } else {
       console.log('ℹ️ 未配置MCP服务器，仅运行原生工具支持');
@@ -616,13 +1609,22 @@ app.listen(PORT, async () => {
     console.error('⚠️ MCP集成启动失败:', error.message);
   }
 
+  // 恢复未完成的批处理
+  batches.load();
+
   console.log(`📊 配置界面: http://localhost:${PORT}`);
   console.log(`🔌 代理端点: http://localhost:${PORT}/v1/messages`);
+  console.log(`🔢 Token计数: http://localhost:${PORT}/v1/messages/count_tokens`);
+  console.log(`🔁 OpenAI兼容: http://localhost:${PORT}/v1/chat/completions`);
+  console.log(`📋 模型列表: http://localhost:${PORT}/v1/models`);
+  console.log(`📦 批处理: http://localhost:${PORT}/v1/messages/batches`);
   console.log(`📈 统计信息: http://localhost:${PORT}/api/stats`);
   console.log(`\n✨ 功能特性:`);
   console.log(`   ✅ 请求缓存 (24小时)`);
   console.log(`   ✅ 请求队列 (最多3个并发)`);
   console.log(`   ✅ 速率限制 (200ms间隔)`);
+  console.log(`   ✅ 自动重试 (429/500/503，最多${config.geminiMcpSettings?.retryAttempts ?? 3}次)`);
+  console.log(`   ✅ 备用模型 (模型过载或配额用尽时自动切换)`);
   console.log(`   ✅ MCP协议支持`);
   console.log(`   ✅ 请求统计`);
   console.log('═'.repeat(80) + '\n');
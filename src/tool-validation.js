@@ -0,0 +1,314 @@
+/**
+ * Tool Argument Validation Module
+ * Checks Gemini functionCall arguments against the client's original
+ * (untranslated) tool input_schema and repairs trivially fixable values
+ *
+ * Gemini only sees the translated schema, so constraints that were moved into
+ * descriptions or dropped can be violated. Repairs applied:
+ * - numeric / boolean strings → number / integer / boolean
+ * - numbers and booleans → string
+ * - JSON strings → object / array
+ * - single value → one-element array
+ * - enum values differing only in case → the declared value
+ * - properties not allowed by additionalProperties: false → removed
+ */
+
+const { resolveRef } = require('./schema-transpiler');
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Try to convert a value to the given JSON Schema type
+ * @returns {Object|null} { value } on success, null if not convertible
+ */
+function coerce(value, type) {
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if ((type === 'number' || type === 'integer') && trimmed !== '' && !isNaN(Number(trimmed))) {
+      const number = Number(trimmed);
+      if (type === 'number' || Number.isInteger(number)) return { value: number };
+    }
+    if (type === 'boolean' && (trimmed === 'true' || trimmed === 'false')) {
+      return { value: trimmed === 'true' };
+    }
+    if (type === 'null' && trimmed === 'null') {
+      return { value: null };
+    }
+    if (type === 'object' || type === 'array') {
+      try {
+        const parsed = JSON.parse(trimmed);
+        if (matchesType(parsed, type)) return { value: parsed };
+      } catch {
+        // Not JSON
+      }
+    }
+  }
+  if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+    return { value: String(value) };
+  }
+  if (type === 'integer' && typeof value === 'number' && Number.isInteger(value)) {
+    return { value };
+  }
+  if (type === 'array' && value !== undefined && !Array.isArray(value)) {
+    return { value: [value] };
+  }
+  return null;
+}
+
+class ArgsValidator {
+  constructor(root) {
+    this.root = root;
+    this.errors = [];
+    this.repairs = [];
+  }
+
+  /**
+   * Validate (and repair) a value against a schema node
+   * @returns {*} The possibly repaired value
+   */
+  check(value, schema, path, depth = 0) {
+    if (!schema || typeof schema !== 'object' || depth > 32) {
+      return value;
+    }
+
+    if (schema.$ref !== undefined) {
+      const { $ref, ...siblings } = schema;
+      const target = resolveRef(this.root, $ref);
+      return this.check(value, target ? { ...target, ...siblings } : siblings, path, depth + 1);
+    }
+
+    if (Array.isArray(schema.allOf)) {
+      for (const member of schema.allOf) {
+        value = this.check(value, member, path, depth + 1);
+      }
+    }
+
+    for (const keyword of ['anyOf', 'oneOf']) {
+      if (Array.isArray(schema[keyword])) {
+        value = this._checkUnion(value, schema[keyword], path, depth);
+      }
+    }
+
+    // Type check with coercion
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => matchesType(value, type))) {
+        const fix = types.map(type => coerce(value, type)).find(Boolean);
+        if (fix) {
+          this.repairs.push(`${path}: ${typeOf(value)} → ${typeOf(fix.value)}`);
+          value = fix.value;
+        } else {
+          this.errors.push(`${path}: expected ${types.join(' | ')}, got ${typeOf(value)}`);
+          return value;
+        }
+      }
+    }
+
+    if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+      this.errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+      // Enum values that differ only in letter case are repaired
+      const caseMatch = typeof value === 'string' &&
+        schema.enum.find(option => typeof option === 'string' && option.toLowerCase() === value.toLowerCase());
+      if (caseMatch) {
+        this.repairs.push(`${path}: "${value}" → "${caseMatch}"`);
+        value = caseMatch;
+      } else {
+        this.errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        this.errors.push(`${path}: shorter than ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        this.errors.push(`${path}: longer than ${schema.maxLength} characters`);
+      }
+      if (schema.pattern !== undefined) {
+        try {
+          if (!new RegExp(schema.pattern, 'u').test(value)) {
+            this.errors.push(`${path}: does not match pattern ${schema.pattern}`);
+          }
+        } catch {
+          // Pattern not supported by the JS regex engine
+        }
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        this.errors.push(`${path}: must be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        this.errors.push(`${path}: must be <= ${schema.maximum}`);
+      }
+      if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+        this.errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+      }
+      if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+        this.errors.push(`${path}: must be < ${schema.exclusiveMaximum}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        this.errors.push(`${path}: needs at least ${schema.minItems} item(s)`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        this.errors.push(`${path}: allows at most ${schema.maxItems} item(s)`);
+      }
+      if (schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)) {
+        value = value.map((item, index) => this.check(item, schema.items, `${path}[${index}]`, depth + 1));
+      }
+    }
+
+    if (typeOf(value) === 'object') {
+      const properties = schema.properties || {};
+      for (const name of schema.required || []) {
+        if (value[name] === undefined) {
+          this.errors.push(`${path}.${name}: required property missing`);
+        }
+      }
+      for (const [name, propertySchema] of Object.entries(properties)) {
+        if (value[name] !== undefined) {
+          value[name] = this.check(value[name], propertySchema, `${path}.${name}`, depth + 1);
+        }
+      }
+      if (schema.additionalProperties === false) {
+        for (const name of Object.keys(value)) {
+          if (!(name in properties)) {
+            delete value[name];
+            this.repairs.push(`${path}.${name}: unknown property removed`);
+          }
+        }
+      }
+    }
+
+    return value;
+  }
+
+  // A union passes if any alternative validates cleanly (repairs allowed)
+  _checkUnion(value, members, path, depth) {
+    for (const member of members) {
+      const attempt = new ArgsValidator(this.root);
+      const repaired = attempt.check(structuredClone(value), member, path, depth + 1);
+      if (attempt.errors.length === 0) {
+        this.repairs.push(...attempt.repairs);
+        return repaired;
+      }
+    }
+    this.errors.push(`${path}: does not match any allowed alternative`);
+    return value;
+  }
+}
+
+/**
+ * Validate and repair function call arguments against a tool input_schema
+ * @param {Object} args - Arguments produced by Gemini
+ * @param {Object} schema - Original tool input_schema
+ * @returns {Object} { args, errors, repairs } - repaired args, remaining
+ *   violations and the list of repairs that were applied
+ */
+function validateToolArgs(args, schema) {
+  const validator = new ArgsValidator(schema);
+  const repaired = validator.check(structuredClone(args ?? {}), schema, '$');
+  return { args: repaired, errors: validator.errors, repairs: validator.repairs };
+}
+
+/**
+ * Validate every functionCall part of a Gemini response in place
+ * Repaired arguments replace the originals; calls to tools without a known
+ * schema (e.g. MCP tools) are skipped.
+ * @param {Array} parts - Gemini candidate content parts
+ * @param {Array} tools - Original Claude tool definitions
+ * @returns {Object} { checked, repaired, invalid: [{ name, errors }] }
+ */
+function repairFunctionCalls(parts, tools) {
+  const result = { checked: 0, repaired: 0, invalid: [] };
+  if (!Array.isArray(parts) || !Array.isArray(tools) || tools.length === 0) {
+    return result;
+  }
+
+  const schemas = new Map(tools.map(tool => [tool.name, tool.input_schema]));
+
+  for (const part of parts) {
+    if (!part.functionCall || !schemas.has(part.functionCall.name)) continue;
+
+    const { name } = part.functionCall;
+    const { args, errors, repairs } = validateToolArgs(part.functionCall.args, schemas.get(name));
+    result.checked++;
+
+    if (repairs.length > 0) {
+      part.functionCall.args = args;
+      result.repaired++;
+      console.log(`🩹 Repaired arguments for ${name}: ${repairs.join('; ')}`);
+    }
+    if (errors.length > 0) {
+      result.invalid.push({ name, id: part.functionCall.id, errors });
+      console.warn(`⚠️  Invalid arguments for ${name}: ${errors.join('; ')}`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Build a follow-up Gemini request asking the model to fix invalid calls
+ * The model turn is replayed and every call gets a functionResponse: invalid
+ * ones carry the validation errors, valid ones are marked as not executed so
+ * the model repeats them together with the corrected calls.
+ * @param {Object} geminiRequest - Request that produced the invalid calls
+ * @param {Object} modelContent - Candidate content returned by Gemini
+ * @param {Array} invalid - Invalid calls from repairFunctionCalls
+ * @returns {Object} New Gemini request
+ */
+function buildCorrectionRequest(geminiRequest, modelContent, invalid) {
+  const invalidByName = new Map(invalid.map(call => [call.id || call.name, call]));
+  const responses = (modelContent.parts || [])
+    .filter(part => part.functionCall)
+    .map(({ functionCall }) => {
+      const problem = invalidByName.get(functionCall.id || functionCall.name);
+      const response = problem
+        ? {
+          error: true,
+          error_message: `Invalid arguments: ${problem.errors.join('; ')}. ` +
+            'Call the function again with arguments that satisfy its schema.'
+        }
+        : { result: 'Not executed. Repeat this call together with the corrected calls.' };
+      return {
+        functionResponse: {
+          name: functionCall.name,
+          response,
+          ...(functionCall.id ? { id: functionCall.id } : {})
+        }
+      };
+    });
+
+  return {
+    ...geminiRequest,
+    contents: [
+      ...geminiRequest.contents,
+      { role: 'model', parts: modelContent.parts },
+      { role: 'user', parts: responses }
+    ]
+  };
+}
+
+module.exports = {
+  validateToolArgs,
+  repairFunctionCalls,
+  buildCorrectionRequest
+};
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BatchManager } = require('../src/batches');
+
+// Queue stand-in that runs tasks immediately
+const queue = { add: task => task() };
+
+const message = { id: 'msg_1', type: 'message', role: 'assistant', content: [], stop_reason: 'end_turn' };
+
+describe('BatchManager', () => {
+  let dir;
+  let spies;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batches-'));
+    spies = ['log', 'warn'].map(method => jest.spyOn(console, method).mockImplementation(() => {}));
+  });
+  afterEach(() => {
+    spies.forEach(spy => spy.mockRestore());
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Write a batch as a process that died after appending results but
+  // before saving the metadata would have left it
+  function writeInterruptedBatch(results) {
+    const batch = {
+      id: 'msgbatch_interrupted',
+      type: 'message_batch',
+      processing_status: 'in_progress',
+      request_counts: { processing: 3, succeeded: 0, errored: 0, canceled: 0, expired: 0 },
+      ended_at: null,
+      created_at: new Date().toISOString(),
+      expires_at: new Date(Date.now() + 60000).toISOString(),
+      cancel_initiated_at: null,
+      archived_at: null,
+      requests: ['a', 'b', 'c'].map(custom_id => ({ custom_id, params: { messages: [] } }))
+    };
+    fs.writeFileSync(path.join(dir, `${batch.id}.json`), JSON.stringify(batch));
+    fs.writeFileSync(path.join(dir, `${batch.id}.results.jsonl`),
+      results.map(line => JSON.stringify(line)).join('\n') + '\n');
+    return batch;
+  }
+
+  test('load recomputes request_counts from the results file', async () => {
+    const execute = jest.fn(async () => message);
+    const { id } = writeInterruptedBatch([
+      { custom_id: 'a', result: { type: 'succeeded', message } },
+      { custom_id: 'b', result: { type: 'errored', error: { type: 'error', error: { type: 'api_error', message: 'boom' } } } }
+    ]);
+
+    const manager = new BatchManager({ execute, queue, dir });
+    manager.load();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(execute).toHaveBeenCalledTimes(1);
+    const batch = manager.get(id);
+    expect(batch.processing_status).toBe('ended');
+    expect(batch.request_counts).toEqual({ processing: 0, succeeded: 2, errored: 1, canceled: 0, expired: 0 });
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, `${id}.json`), 'utf8'));
+    expect(saved.request_counts).toEqual(batch.request_counts);
+  });
+
+  test('load ignores a partially written last result line', () => {
+    const { id } = writeInterruptedBatch([{ custom_id: 'a', result: { type: 'succeeded', message } }]);
+    fs.appendFileSync(path.join(dir, `${id}.results.jsonl`), '{"custom_id":"b","res');
+
+    const manager = new BatchManager({ execute: () => new Promise(() => {}), queue, dir });
+    manager.load();
+
+    expect(manager.get(id).request_counts).toEqual({ processing: 2, succeeded: 1, errored: 0, canceled: 0, expired: 0 });
+  });
+
+  test('processes a new batch and counts every result', async () => {
+    const execute = jest.fn(async params => {
+      if (params.model === 'bad') {
+        const error = new Error('invalid model');
+        error.type = 'invalid_request_error';
+        throw error;
+      }
+      return message;
+    });
+    const manager = new BatchManager({ execute, queue, dir });
+
+    const { id } = manager.create([
+      { custom_id: 'ok', params: { model: 'gemini-2.5-flash', messages: [] } },
+      { custom_id: 'bad', params: { model: 'bad', messages: [] } }
+    ]);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(manager.get(id).request_counts).toEqual({ processing: 0, succeeded: 1, errored: 1, canceled: 0, expired: 0 });
+    const lines = manager.results(id).trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(line => [line.custom_id, line.result.type])).toEqual([['ok', 'succeeded'], ['bad', 'errored']]);
+  });
+});
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const { loadConfig, validateConfig } = require('../src/config');
+
+describe('loadConfig', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function loadFrom(stored) {
+    jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+    jest.spyOn(fs, 'readFileSync').mockReturnValue(JSON.stringify(stored));
+    return loadConfig();
+  }
+
+  test('applies the default model fallbacks at load', () => {
+    const config = loadFrom({ geminiApiUrl: 'https://example.com', localApiKey: 'key', geminiApiKey: 'g' });
+
+    expect(config.modelFallbacks[0].model).toBe('gemini-2.5-pro');
+    expect(config.geminiApiKeys).toEqual([{ key: 'g', enabled: true }]);
+    expect(config.localApiKey).toBe('key');
+  });
+
+  test('routes nothing unless routing rules are configured', () => {
+    const config = loadFrom({ localApiKey: 'key' });
+
+    // Title, topic and warmup requests keep the model the client asked for
+    expect(config.routingRules).toEqual([]);
+    expect(validateConfig({ routingRules: null }).routingRules).toEqual([]);
+  });
+
+  test('normalizes configured routing rules', () => {
+    const config = loadFrom({
+      localApiKey: 'key',
+      routingRules: [{ name: 'metadata', match: { type: ['TITLE', 'TOPIC', 'WARMUP'] }, model: 'gemini-2.5-flash-lite' }]
+    });
+
+    expect(config.routingRules).toHaveLength(1);
+    expect(config.routingRules[0]).toMatchObject({ name: 'metadata', model: 'gemini-2.5-flash-lite' });
+  });
+
+  test('keeps configured lists, including empty ones', () => {
+    const config = loadFrom({ localApiKey: 'key', routingRules: [], modelFallbacks: [] });
+
+    expect(config.routingRules).toEqual([]);
+    expect(config.modelFallbacks).toEqual([]);
+  });
+
+  test('loads the same configuration that validateConfig saves', () => {
+    const stored = { geminiApiUrl: 'https://example.com', localApiKey: 'key', adminPassword: 'secret' };
+
+    expect(loadFrom(stored)).toEqual(validateConfig(stored));
+  });
+});
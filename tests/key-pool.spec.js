@@ -0,0 +1,176 @@
+const { KeyPool, keyId } = require('../src/key-pool');
+
+const KEYS = ['key-aaaa-0001', 'key-bbbb-0002', 'key-cccc-0003'];
+
+function pool(options = {}) {
+  const keyPool = new KeyPool();
+  keyPool.configure({ geminiApiKeys: KEYS.map(key => ({ key, enabled: true })), ...options });
+  return keyPool;
+}
+
+// Acquire n keys in a row, reporting each request as successful
+function take(keyPool, n) {
+  return Array.from({ length: n }, () => {
+    const { key } = keyPool.acquire();
+    keyPool.report(key, 200);
+    return key;
+  });
+}
+
+describe('KeyPool', () => {
+  let warnSpy;
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+    warnSpy.mockRestore();
+  });
+
+  describe('selection', () => {
+    test('round-robin cycles through the keys in order', () => {
+      expect(take(pool(), 4)).toEqual([KEYS[0], KEYS[1], KEYS[2], KEYS[0]]);
+    });
+
+    test('round-robin keeps its order when a key cools down', () => {
+      const keyPool = pool();
+      take(keyPool, 1);
+      keyPool.report(KEYS[1], 429);
+
+      expect(take(keyPool, 3)).toEqual([KEYS[2], KEYS[0], KEYS[2]]);
+    });
+
+    test('least-used picks the key with the fewest requests', () => {
+      const keyPool = pool({ keySelection: 'least-used' });
+      keyPool.report(KEYS[0], 200);
+      keyPool.report(KEYS[0], 200);
+      keyPool.report(KEYS[2], 200);
+
+      expect(keyPool.acquire().key).toBe(KEYS[1]);
+      keyPool.report(KEYS[1], 200);
+      keyPool.report(KEYS[1], 200);
+      expect(keyPool.acquire().key).toBe(KEYS[2]);
+    });
+
+    test('skips disabled and excluded keys', () => {
+      const keyPool = new KeyPool();
+      keyPool.configure({ geminiApiKeys: [{ key: KEYS[0], enabled: false }, { key: KEYS[1] }, { key: KEYS[2] }] });
+
+      expect(keyPool.acquire(new Set([KEYS[1]])).key).toBe(KEYS[2]);
+      expect(keyPool.acquire(new Set([KEYS[1], KEYS[2]]))).toBeNull();
+    });
+  });
+
+  describe('cooldown', () => {
+    test('429 cools a key down for the requested delay', () => {
+      const keyPool = pool();
+      keyPool.report(KEYS[0], 429, 5000);
+
+      expect(keyPool.isAvailable(KEYS[0])).toBe(false);
+      jest.advanceTimersByTime(5000);
+      expect(keyPool.isAvailable(KEYS[0])).toBe(true);
+    });
+
+    test('429 without a delay cools down for a minute, 403 for ten', () => {
+      const keyPool = pool();
+      keyPool.report(KEYS[0], 429);
+      keyPool.report(KEYS[1], 403);
+
+      jest.advanceTimersByTime(60 * 1000);
+      expect(keyPool.isAvailable(KEYS[0])).toBe(true);
+      expect(keyPool.isAvailable(KEYS[1])).toBe(false);
+      jest.advanceTimersByTime(9 * 60 * 1000);
+      expect(keyPool.isAvailable(KEYS[1])).toBe(true);
+    });
+
+    test('other errors do not cool a key down', () => {
+      const keyPool = pool();
+      keyPool.report(KEYS[0], 500);
+      keyPool.report(KEYS[0], 0);
+
+      expect(keyPool.isAvailable(KEYS[0])).toBe(true);
+    });
+
+    test('returns the key that recovers first when all are cooling down', () => {
+      const keyPool = pool();
+      keyPool.report(KEYS[0], 429, 30000);
+      keyPool.report(KEYS[1], 429, 10000);
+      keyPool.report(KEYS[2], 403);
+
+      expect(keyPool.hasAvailable()).toBe(false);
+      expect(keyPool.acquire().key).toBe(KEYS[1]);
+    });
+
+    test('resetCooldown makes a key available again', () => {
+      const keyPool = pool();
+      keyPool.report(KEYS[0], 403);
+
+      expect(keyPool.resetCooldown(keyId(KEYS[0]))).toBe(true);
+      expect(keyPool.isAvailable(KEYS[0])).toBe(true);
+      expect(keyPool.resetCooldown('unknown')).toBe(false);
+    });
+  });
+
+  describe('usage accounting', () => {
+    test('counts requests, errors and tokens per key', () => {
+      const keyPool = pool();
+      keyPool.report(KEYS[0], 200);
+      keyPool.report(KEYS[0], 429, 1000);
+      keyPool.report(KEYS[0], 500);
+      keyPool.recordUsage(KEYS[0], {
+        input_tokens: 100,
+        cache_read_input_tokens: 50,
+        cache_creation_input_tokens: 25,
+        output_tokens: 40
+      });
+      keyPool.recordUsage(KEYS[0], { input_tokens: 10, output_tokens: 5 });
+      jest.advanceTimersByTime(1000);
+
+      const stats = keyPool.getStats().keys[0];
+      expect(stats).toMatchObject({
+        id: keyId(KEYS[0]),
+        key: 'key-…0001',
+        status: 'active',
+        requests: 3,
+        errors: 2,
+        rateLimited: 1,
+        inputTokens: 185,
+        outputTokens: 45,
+        lastError: { status: 500, at: '2026-01-01T00:00:00.000Z' }
+      });
+      expect(JSON.stringify(keyPool.getStats())).not.toContain(KEYS[0]);
+    });
+
+    test('reports the cooldown state', () => {
+      const keyPool = pool();
+      keyPool.report(KEYS[1], 429, 12500);
+      keyPool.configure({ geminiApiKeys: [{ key: KEYS[0], enabled: false }, { key: KEYS[1] }] });
+
+      expect(keyPool.getStats().keys.map(({ status, cooldownSeconds }) => ({ status, cooldownSeconds }))).toEqual([
+        { status: 'disabled', cooldownSeconds: 0 },
+        { status: 'cooling', cooldownSeconds: 13 }
+      ]);
+    });
+
+    test('keeps the counters of keys that stay in the list', () => {
+      const keyPool = pool();
+      keyPool.report(KEYS[1], 200);
+      keyPool.report(KEYS[2], 200);
+
+      keyPool.configure({ geminiApiKeys: [{ key: KEYS[1] }, { key: 'key-dddd-0004' }] });
+
+      expect(keyPool.getStats().keys.map(({ requests }) => requests)).toEqual([1, 0]);
+      keyPool.report(KEYS[2], 200);
+      expect(keyPool.keys).toHaveLength(2);
+    });
+
+    test('migrates a single-key configuration', () => {
+      const keyPool = new KeyPool();
+      keyPool.configure({ geminiApiKey: KEYS[0] });
+
+      expect(keyPool.acquire().key).toBe(KEYS[0]);
+      expect(keyPool.strategy).toBe('round-robin');
+    });
+  });
+});
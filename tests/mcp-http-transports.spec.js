@@ -0,0 +1,249 @@
+const http = require('http');
+const { StreamableHttpTransport, SSETransport } = require('../src/mcp-client');
+
+/**
+ * Start an HTTP server on an ephemeral port
+ * @param {Function} handler - (req, res, body) => void, body is the parsed JSON request
+ * @returns {Promise<Object>} { url, requests, close }
+ */
+async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      const body = data ? JSON.parse(data) : null;
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      handler(req, res, body);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+function sendJson(res, message, headers = {}) {
+  res.writeHead(200, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(message));
+}
+
+function sseEvent(message, id) {
+  return `${id ? `id: ${id}\n` : ''}data: ${JSON.stringify(message)}\n\n`;
+}
+
+const result = (id, value) => ({ jsonrpc: '2.0', id, result: value });
+
+describe('MCP HTTP transports', () => {
+  let server;
+  let transport;
+  let spies;
+  beforeEach(() => {
+    spies = ['log', 'warn', 'error'].map(method => jest.spyOn(console, method).mockImplementation(() => {}));
+  });
+  afterEach(async () => {
+    await transport?.close();
+    await server?.close();
+    transport = null;
+    server = null;
+    spies.forEach(spy => spy.mockRestore());
+  });
+
+  describe('StreamableHttpTransport', () => {
+    // Minimal Streamable HTTP server: sessions are issued by initialize,
+    // the GET notification stream is not offered
+    function streamableServer(onRequest) {
+      let sessions = 0;
+      return startServer((req, res, body) => {
+        if (req.method === 'GET') {
+          res.writeHead(405).end();
+        } else if (req.method === 'DELETE') {
+          res.writeHead(200).end();
+        } else if (body.method === 'initialize') {
+          sendJson(res, result(body.id, { protocolVersion: '2025-03-26', capabilities: {} }),
+            { 'Mcp-Session-Id': `session-${++sessions}` });
+        } else if (body.id === undefined) {
+          res.writeHead(202).end();
+        } else {
+          onRequest(req, res, body);
+        }
+      });
+    }
+
+    test('returns a JSON response and sends the session id back', async () => {
+      server = await streamableServer((req, res, body) => {
+        sendJson(res, result(body.id, { tools: [{ name: 'echo' }] }));
+      });
+      transport = new StreamableHttpTransport(server.url, { Authorization: 'Bearer token' });
+      await transport.connect();
+
+      await transport.send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+      expect(transport.sessionId).toBe('session-1');
+
+      const response = await transport.send({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+      expect(response).toEqual(result(2, { tools: [{ name: 'echo' }] }));
+
+      const [initialize, list] = server.requests;
+      expect(initialize.headers['mcp-session-id']).toBeUndefined();
+      expect(initialize.headers.accept).toBe('application/json, text/event-stream');
+      expect(list.headers['mcp-session-id']).toBe('session-1');
+      expect(list.headers.authorization).toBe('Bearer token');
+    });
+
+    test('reads the result from an SSE response and passes other messages on', async () => {
+      const notification = { jsonrpc: '2.0', method: 'notifications/progress', params: { progress: 1 } };
+      server = await streamableServer((req, res, body) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(sseEvent(notification));
+        res.end(sseEvent(result(body.id, { content: [{ type: 'text', text: 'done' }] })));
+      });
+      transport = new StreamableHttpTransport(server.url);
+      transport.onMessage = jest.fn();
+
+      const response = await transport.send({ jsonrpc: '2.0', id: 7, method: 'tools/call', params: { name: 'slow' } });
+
+      expect(response.result.content[0].text).toBe('done');
+      expect(transport.onMessage).toHaveBeenCalledWith(notification);
+    });
+
+    test('resumes an interrupted SSE response with Last-Event-ID', async () => {
+      server = await startServer((req, res, body) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        if (req.method === 'POST') {
+          res.end(': priming event\nid: evt-1\ndata:\n\n');
+        } else {
+          res.end(sseEvent(result(3, { ok: true }), 'evt-2'));
+        }
+      });
+      transport = new StreamableHttpTransport(server.url);
+
+      const response = await transport.send({ jsonrpc: '2.0', id: 3, method: 'ping' });
+
+      expect(response.result).toEqual({ ok: true });
+      expect(server.requests[1].method).toBe('GET');
+      expect(server.requests[1].headers['last-event-id']).toBe('evt-1');
+    });
+
+    test('re-initializes when the session has expired', async () => {
+      server = await streamableServer((req, res, body) => {
+        if (req.headers['mcp-session-id'] === 'session-1') {
+          res.writeHead(404).end();
+        } else {
+          sendJson(res, result(body.id, {}));
+        }
+      });
+      transport = new StreamableHttpTransport(server.url);
+      transport.reinitialize = () => transport.send({ jsonrpc: '2.0', id: 'init', method: 'initialize', params: {} });
+
+      await transport.send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+      const response = await transport.send({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+
+      expect(response).toEqual(result(2, {}));
+      expect(transport.sessionId).toBe('session-2');
+      expect(server.requests.at(-1).headers['mcp-session-id']).toBe('session-2');
+    });
+
+    test('rejects on HTTP errors and responses without a result', async () => {
+      server = await startServer((req, res, body) => {
+        if (body.method === 'fail') {
+          res.writeHead(500, { 'Content-Type': 'text/plain' }).end('internal failure');
+        } else {
+          sendJson(res, result(body.id + 1, {}));
+        }
+      });
+      transport = new StreamableHttpTransport(server.url);
+
+      await expect(transport.send({ jsonrpc: '2.0', id: 1, method: 'fail' })).rejects.toThrow('HTTP 500: internal failure');
+      await expect(transport.send({ jsonrpc: '2.0', id: 2, method: 'other' })).rejects.toThrow('HTTP响应中没有请求结果');
+    });
+
+    test('ends the session with DELETE on close', async () => {
+      server = await streamableServer(() => {});
+      transport = new StreamableHttpTransport(server.url);
+
+      await transport.send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+      await transport.close();
+      await expect(transport.send({ jsonrpc: '2.0', id: 2, method: 'ping' })).rejects.toThrow();
+
+      const deletion = server.requests.find(request => request.method === 'DELETE');
+      expect(deletion.headers['mcp-session-id']).toBe('session-1');
+    });
+  });
+
+  describe('SSETransport', () => {
+    // Legacy HTTP+SSE server: the GET stream announces the POST endpoint and
+    // carries the responses
+    function legacyServer(onPost) {
+      let stream = null;
+      return startServer((req, res, body) => {
+        if (req.method === 'GET') {
+          stream = res;
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          res.write('event: endpoint\ndata: /messages?sessionId=abc\n\n');
+        } else {
+          onPost(res, body, message => stream.write(sseEvent(message)));
+        }
+      });
+    }
+
+    test('posts to the endpoint from the endpoint event and reads responses from the stream', async () => {
+      server = await legacyServer((res, body, push) => {
+        res.writeHead(202).end('Accepted');
+        if (body.id !== undefined) push(result(body.id, { echoed: body.params }));
+      });
+      transport = new SSETransport(`${server.url}/sse`, { Authorization: 'Bearer token' });
+
+      await transport.connect();
+      expect(transport.endpoint).toBe(`${server.url}/messages?sessionId=abc`);
+
+      const response = await transport.send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { text: 'hi' } });
+      expect(response).toEqual(result(1, { echoed: { text: 'hi' } }));
+
+      const post = server.requests.find(request => request.method === 'POST');
+      expect(post.url).toBe('/messages?sessionId=abc');
+      expect(post.headers.authorization).toBe('Bearer token');
+      expect(server.requests[0].headers.accept).toBe('text/event-stream');
+    });
+
+    test('passes server messages that answer no request on', async () => {
+      const notification = { jsonrpc: '2.0', method: 'notifications/tools/list_changed' };
+      server = await legacyServer((res, body, push) => {
+        res.writeHead(202).end();
+        push(notification);
+      });
+      transport = new SSETransport(`${server.url}/sse`);
+      const received = new Promise(resolve => { transport.onMessage = resolve; });
+      await transport.connect();
+
+      await transport.send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+
+      await expect(received).resolves.toEqual(notification);
+    });
+
+    test('rejects a request whose POST fails', async () => {
+      server = await legacyServer(res => {
+        res.writeHead(500).end('broken');
+      });
+      transport = new SSETransport(`${server.url}/sse`);
+      await transport.connect();
+
+      await expect(transport.send({ jsonrpc: '2.0', id: 1, method: 'ping' })).rejects.toThrow('HTTP 500: broken');
+      expect(transport.pendingRequests.size).toBe(0);
+    });
+
+    test('fails to connect when the stream cannot be opened', async () => {
+      server = await startServer((req, res) => {
+        res.writeHead(503).end();
+      });
+      transport = new SSETransport(`${server.url}/sse`);
+
+      await expect(transport.connect()).rejects.toThrow('HTTP 503');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const { MCPIntegration } = require('../src/mcp-integration');
+const { claudeToGeminiRequest, initializeMCP, getMCPIntegration } = require('../src/proxy');
+
+// Integration with one registered tool whose tools/call result is given
+function integrationReturning(callTool) {
+  const integration = new MCPIntegration({});
+  integration.initialized = true;
+  integration.availableTools.set('files:read_file', { name: 'read_file' });
+  integration.mcpClient.callTool = jest.fn(callTool);
+  return integration;
+}
+
+describe('MCPIntegration.executeFunctionCalls', () => {
+  let logSpy;
+  let warnSpy;
+  let errorSpy;
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    logSpy.mockRestore();
+    warnSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  const call = { name: 'read_file', args: { path: '/etc/motd' } };
+
+  test('returns the text content of a successful call', async () => {
+    const integration = integrationReturning(async () => ({
+      content: [{ type: 'text', text: 'line 1' }, { type: 'text', text: 'line 2' }]
+    }));
+
+    const [result] = await integration.executeFunctionCalls([call]);
+
+    expect(integration.mcpClient.callTool).toHaveBeenCalledWith('files:read_file', { path: '/etc/motd' });
+    expect(result).toEqual({ functionCall: call, isError: false, text: 'line 1\nline 2' });
+  });
+
+  test('keeps isError of a tool error result', async () => {
+    const integration = integrationReturning(async () => ({
+      isError: true,
+      content: [{ type: 'text', text: 'ENOENT: no such file' }]
+    }));
+
+    const [result] = await integration.executeFunctionCalls([call]);
+
+    expect(result).toEqual({ functionCall: call, isError: true, text: 'ENOENT: no such file' });
+  });
+
+  test('reports a failed request as an error', async () => {
+    const integration = integrationReturning(async () => {
+      throw new Error('connection closed');
+    });
+
+    const [result] = await integration.executeFunctionCalls([call]);
+
+    expect(result.isError).toBe(true);
+    expect(result.text).toContain('connection closed');
+  });
+
+  test('reports unknown tools as an error', async () => {
+    const integration = integrationReturning(async () => ({ content: [] }));
+
+    const [result] = await integration.executeFunctionCalls([{ name: 'missing', args: {} }]);
+
+    expect(result.isError).toBe(true);
+    expect(integration.mcpClient.callTool).not.toHaveBeenCalled();
+  });
+});
+
+describe('claudeToGeminiRequest MCP tool declarations', () => {
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await initializeMCP({ mcpServers: [] });
+    getMCPIntegration().availableTools.set('files:read_file', {
+      id: 'files:read_file',
+      name: 'read_file',
+      description: 'Read a file',
+      input_schema: { type: 'object', properties: { path: { type: 'string' } } }
+    });
+  });
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  const request = {
+    model: 'gemini-2.5-flash',
+    max_tokens: 100,
+    messages: [{ role: 'user', content: 'Hi' }],
+    tools: [{ name: 'get_weather', input_schema: { type: 'object', properties: { city: { type: 'string' } } } }]
+  };
+  const declared = geminiRequest => geminiRequest.tools[0].function_declarations.map(tool => tool.name);
+
+  test('declares the MCP tools next to the client tools', () => {
+    expect(declared(claudeToGeminiRequest(request))).toEqual(['files_read_file', 'get_weather']);
+  });
+
+  test('leaves the MCP tools out for requests without the MCP tool loop', () => {
+    expect(declared(claudeToGeminiRequest(request, { includeMcpTools: false }))).toEqual(['get_weather']);
+  });
+});
+
+describe('initializeMCP', () => {
+  let proxy;
+  let initialize;
+  beforeEach(() => {
+    ['log', 'error'].forEach(method => jest.spyOn(console, method).mockImplementation(() => {}));
+    // Fresh proxy module so the integration has not been created yet
+    jest.isolateModules(() => {
+      proxy = require('../src/proxy');
+      const { MCPIntegration: IsolatedIntegration } = require('../src/mcp-integration');
+      initialize = jest.spyOn(IsolatedIntegration.prototype, 'initialize');
+    });
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('publishes the integration only after it is initialized', async () => {
+    let finish;
+    initialize.mockImplementation(function () {
+      return new Promise(resolve => {
+        finish = () => {
+          this.initialized = true;
+          resolve(this.availableTools);
+        };
+      });
+    });
+
+    const first = proxy.initializeMCP({ mcpServers: [] });
+    const second = proxy.initializeMCP({ mcpServers: [] });
+    expect(proxy.getMCPIntegration()).toBeNull();
+
+    finish();
+    const [a, b] = await Promise.all([first, second]);
+
+    expect(a).toBe(b);
+    expect(a.initialized).toBe(true);
+    expect(proxy.getMCPIntegration()).toBe(a);
+    expect(initialize).toHaveBeenCalledTimes(1);
+    await expect(proxy.initializeMCP({ mcpServers: [] })).resolves.toBe(a);
+  });
+
+  test('publishes nothing when initialization fails and allows another attempt', async () => {
+    initialize.mockRejectedValueOnce(new Error('spawn failed'));
+
+    await expect(proxy.initializeMCP({ mcpServers: [] })).rejects.toThrow('spawn failed');
+    expect(proxy.getMCPIntegration()).toBeNull();
+
+    const integration = await proxy.initializeMCP({ mcpServers: [] });
+    expect(proxy.getMCPIntegration()).toBe(integration);
+  });
+});
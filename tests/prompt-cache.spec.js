@@ -0,0 +1,168 @@
+const { PromptCache } = require('../src/prompt-cache');
+const { claudeToGeminiRequest } = require('../src/proxy');
+
+const config = {
+  geminiApiUrl: 'https://gemini.test/v1beta',
+  defaultGeminiModel: 'gemini-2.5-flash',
+  modelAliases: [],
+  promptCaching: { enabled: true, minTokens: 1024 }
+};
+
+// Request whose system prompt (~1500 tokens) is marked for caching
+function cachedRequest(system = 'You are a careful assistant. '.repeat(200)) {
+  return claudeToGeminiRequest({
+    model: 'gemini-2.5-flash',
+    max_tokens: 100,
+    system: [{ type: 'text', text: system, cache_control: { type: 'ephemeral' } }],
+    messages: [{ role: 'user', content: 'Hi' }]
+  });
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+let created = 0;
+const createdCache = () => jsonResponse({
+  name: `cachedContents/c${++created}`,
+  expireTime: new Date(Date.now() + 300 * 1000).toISOString(),
+  usageMetadata: { totalTokenCount: 1500 }
+});
+
+describe('PromptCache', () => {
+  let cache;
+  let fetchMock;
+  beforeEach(() => {
+    cache = new PromptCache();
+    fetchMock = jest.spyOn(global, 'fetch').mockImplementation(async () => createdCache());
+    ['log', 'warn'].forEach(method => jest.spyOn(console, method).mockImplementation(() => {}));
+  });
+  afterEach(() => {
+    clearInterval(cache.cleanupTimer);
+    jest.restoreAllMocks();
+  });
+
+  const settle = () => Promise.all(cache.pending.values());
+
+  test('is disabled unless promptCaching.enabled is true', async () => {
+    const request = cachedRequest();
+
+    const result = await cache.prepare(request, { ...config, promptCaching: undefined }, 'gemini-2.5-flash', 'key');
+
+    expect(result).toEqual({ request, cacheCreated: false, apiKey: 'key' });
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  test('creates the cache in the background and reuses it for later requests', async () => {
+    const first = cachedRequest();
+    const miss = await cache.prepare(first, config, 'gemini-2.5-flash', 'key');
+
+    // The request that caused the miss is sent unchanged
+    expect(miss.request).toBe(first);
+    expect(miss.cacheCreated).toBe(false);
+    await settle();
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://gemini.test/v1beta/cachedContents?key=key');
+    const body = JSON.parse(init.body);
+    expect(body).toMatchObject({ model: 'models/gemini-2.5-flash', ttl: '300s', contents: [] });
+    expect(body.system_instruction).toEqual(first.system_instruction);
+
+    const hit = await cache.prepare(cachedRequest(), config, 'gemini-2.5-flash', 'key');
+    expect(hit.cacheCreated).toBe(true);
+    expect(hit.request.cachedContent).toBe('cachedContents/c' + created);
+    expect(hit.request.system_instruction).toBeUndefined();
+    expect(hit.request.contents).toEqual(first.contents);
+
+    const again = await cache.prepare(cachedRequest(), config, 'gemini-2.5-flash', 'key');
+    expect(again.cacheCreated).toBe(false);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(cache.getStats()).toMatchObject({ created: 1, hits: 2, active: 1 });
+  });
+
+  test('does not share caches between API keys', async () => {
+    await cache.prepare(cachedRequest(), config, 'gemini-2.5-flash', 'key-a');
+    await settle();
+
+    const other = await cache.prepare(cachedRequest(), config, 'gemini-2.5-flash', 'key-b');
+
+    expect(other.request.cachedContent).toBeUndefined();
+  });
+
+  test('refreshes the TTL once half of it has elapsed', async () => {
+    await cache.prepare(cachedRequest(), config, 'gemini-2.5-flash', 'key');
+    await settle();
+    fetchMock.mockImplementation(async () => jsonResponse({}));
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 200 * 1000);
+    const hit = await cache.prepare(cachedRequest(), config, 'gemini-2.5-flash', 'key');
+
+    expect(hit.request.cachedContent).toBeDefined();
+    const [url, init] = fetchMock.mock.calls[1];
+    expect(url).toBe(`https://gemini.test/v1beta/${hit.request.cachedContent}?key=key&updateMask=ttl`);
+    expect(init.method).toBe('PATCH');
+    expect(JSON.parse(init.body)).toEqual({ ttl: '300s' });
+  });
+
+  test('does not use a cache that is about to expire', async () => {
+    await cache.prepare(cachedRequest(), config, 'gemini-2.5-flash', 'key');
+    await settle();
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 299 * 1000);
+    const result = await cache.prepare(cachedRequest(), config, 'gemini-2.5-flash', 'key');
+
+    expect(result.request.cachedContent).toBeUndefined();
+  });
+
+  test('remembers failed creations until the TTL has passed', async () => {
+    fetchMock.mockImplementation(async () => jsonResponse({ error: { message: 'too small' } }, 400));
+
+    await cache.prepare(cachedRequest(), config, 'gemini-2.5-flash', 'key');
+    await settle();
+    await cache.prepare(cachedRequest(), config, 'gemini-2.5-flash', 'key');
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(cache.getStats()).toMatchObject({ failures: 1, active: 0 });
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 301 * 1000);
+    await cache.prepare(cachedRequest(), config, 'gemini-2.5-flash', 'key');
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  test('skips prefixes below minTokens', async () => {
+    const result = await cache.prepare(cachedRequest('Short prompt.'), config, 'gemini-2.5-flash', 'key');
+
+    expect(result.request.cachedContent).toBeUndefined();
+    expect(cache.pending.size).toBe(0);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  test('evicts the oldest caches upstream beyond 200 entries', async () => {
+    for (let i = 0; i < 200; i++) {
+      cache.entries.set(`old-${i}`, { name: `cachedContents/old-${i}`, apiKey: 'key', ttlSeconds: 300, expiresAt: Date.now() + 300000 });
+    }
+
+    await cache.prepare(cachedRequest(), config, 'gemini-2.5-flash', 'key');
+    await settle();
+
+    expect(cache.entries.has('old-0')).toBe(false);
+    expect(cache.entries.has('old-1')).toBe(true);
+    expect(cache.getStats().active).toBe(200);
+    const deletion = fetchMock.mock.calls.find(([, init]) => init.method === 'DELETE');
+    expect(deletion[0]).toBe('https://gemini.test/v1beta/cachedContents/old-0?key=key');
+  });
+
+  test('creates a new cache after an invalidated one', async () => {
+    await cache.prepare(cachedRequest(), config, 'gemini-2.5-flash', 'key');
+    await settle();
+    const hit = await cache.prepare(cachedRequest(), config, 'gemini-2.5-flash', 'key');
+
+    cache.invalidate(hit.request.cachedContent);
+    const miss = await cache.prepare(cachedRequest(), config, 'gemini-2.5-flash', 'key');
+    await settle();
+
+    expect(miss.request.cachedContent).toBeUndefined();
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(cache.getStats().invalidated).toBe(1);
+  });
+});
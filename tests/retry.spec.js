@@ -0,0 +1,172 @@
+const { fetchWithRetry, getRequestedDelay } = require('../src/retry');
+
+function errorResponse(status, { body = {}, headers = {} } = {}) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+}
+
+// Error body carrying a google.rpc.RetryInfo detail
+const retryInfo = retryDelay => ({
+  error: {
+    code: 429,
+    details: [
+      { '@type': 'type.googleapis.com/google.rpc.QuotaFailure', violations: [] },
+      { '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay }
+    ]
+  }
+});
+
+// Fake send() that returns the given responses in order and throws anything else
+function sequence(...results) {
+  return jest.fn(async () => {
+    const next = results.shift();
+    if (next instanceof Response) return next;
+    throw next;
+  });
+}
+
+describe('getRequestedDelay', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('reads Retry-After in seconds', () => {
+    expect(getRequestedDelay(errorResponse(429, { headers: { 'Retry-After': '7' } }), '')).toBe(7000);
+  });
+
+  test('reads Retry-After as an HTTP date', () => {
+    const response = errorResponse(503, { headers: { 'Retry-After': 'Thu, 01 Jan 2026 00:00:12 GMT' } });
+
+    expect(getRequestedDelay(response, '')).toBe(12000);
+  });
+
+  test('reads RetryInfo from the error body', () => {
+    const body = JSON.stringify(retryInfo('2.5s'));
+
+    expect(getRequestedDelay(errorResponse(429), body)).toBe(2500);
+  });
+
+  test('prefers Retry-After over RetryInfo', () => {
+    const response = errorResponse(429, { headers: { 'Retry-After': '1' } });
+
+    expect(getRequestedDelay(response, JSON.stringify(retryInfo('20s')))).toBe(1000);
+  });
+
+  test('returns null when no delay is given', () => {
+    expect(getRequestedDelay(errorResponse(500), 'not json')).toBeNull();
+    expect(getRequestedDelay(errorResponse(429), JSON.stringify({ error: { details: [] } }))).toBeNull();
+  });
+});
+
+describe('fetchWithRetry', () => {
+  let warnSpy;
+  beforeEach(() => {
+    jest.useFakeTimers();
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+    warnSpy.mockRestore();
+  });
+
+  test('returns a successful response without retrying', async () => {
+    const ok = new Response('{}');
+    const send = sequence(ok);
+
+    await expect(fetchWithRetry(send)).resolves.toBe(ok);
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not retry non-retryable statuses', async () => {
+    const send = sequence(errorResponse(400));
+
+    const response = await fetchWithRetry(send);
+
+    expect(response.status).toBe(400);
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  test('waits for the delay from RetryInfo before retrying', async () => {
+    const send = sequence(errorResponse(429, { body: retryInfo('5s') }), new Response('{}'));
+    const onRetry = jest.fn();
+
+    const pending = fetchWithRetry(send, { onRetry });
+    await jest.advanceTimersByTimeAsync(4999);
+    expect(send).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(1);
+    const response = await pending;
+
+    expect(response.status).toBe(200);
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(onRetry).toHaveBeenCalledWith({ attempt: 1, reason: 429, delayMs: 5000 });
+  });
+
+  test('gives up at once when the requested delay is over 30s', async () => {
+    const body = retryInfo('3600s');
+    const send = sequence(errorResponse(429, { body }), new Response('{}'));
+    const onRetry = jest.fn();
+
+    const response = await fetchWithRetry(send, { onRetry });
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(onRetry).not.toHaveBeenCalled();
+    expect(response.status).toBe(429);
+    await expect(response.json()).resolves.toEqual(body);
+  });
+
+  test('gives up at once on a long Retry-After', async () => {
+    const send = sequence(errorResponse(503, { headers: { 'Retry-After': '31' } }));
+
+    const response = await fetchWithRetry(send);
+
+    expect(response.status).toBe(503);
+    expect(response.headers.get('retry-after')).toBe('31');
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  test('backs off exponentially and returns the last error response', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    const send = sequence(errorResponse(500), errorResponse(500), errorResponse(503));
+    const onRetry = jest.fn();
+
+    const pending = fetchWithRetry(send, { retries: 2, onRetry });
+    await jest.runAllTimersAsync();
+    const response = await pending;
+
+    expect(response.status).toBe(503);
+    expect(send).toHaveBeenCalledTimes(3);
+    expect(onRetry.mock.calls.map(([info]) => info.delayMs)).toEqual([1000, 2000]);
+    Math.random.mockRestore();
+  });
+
+  test('retries network errors but not aborts', async () => {
+    const networkError = new TypeError('fetch failed', { cause: { code: 'ECONNRESET' } });
+    const send = sequence(networkError, new Response('{}'));
+    const onRetry = jest.fn();
+
+    const pending = fetchWithRetry(send, { onRetry });
+    await jest.runAllTimersAsync();
+
+    expect((await pending).status).toBe(200);
+    expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, reason: 'ECONNRESET' }));
+
+    const abort = new DOMException('Aborted', 'AbortError');
+    await expect(fetchWithRetry(sequence(abort))).rejects.toBe(abort);
+  });
+
+  test('stops waiting when the signal aborts', async () => {
+    const controller = new AbortController();
+    const send = sequence(errorResponse(429, { headers: { 'Retry-After': '10' } }), new Response('{}'));
+
+    const pending = fetchWithRetry(send, { signal: controller.signal });
+    const rejection = expect(pending).rejects.toThrow('client gone');
+    await jest.advanceTimersByTimeAsync(1000);
+    controller.abort(new Error('client gone'));
+
+    await rejection;
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+});
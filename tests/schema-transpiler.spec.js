@@ -0,0 +1,213 @@
+const { transpileSchema } = require('../src/schema-transpiler');
+
+// Depth of nested `properties` in a transpiled schema
+function depth(schema) {
+  const children = Object.values(schema.properties || {}).concat(schema.items ? [schema.items] : []);
+  return 1 + Math.max(0, ...children.map(depth));
+}
+
+const recursiveRefs = lossy => lossy.filter(entry => entry.keyword === '$ref' && /recursive/.test(entry.detail));
+
+describe('transpileSchema', () => {
+  test('inlines a non-recursive $ref', () => {
+    const { schema, lossy } = transpileSchema({
+      type: 'object',
+      properties: { address: { $ref: '#/$defs/Address' } },
+      $defs: { Address: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] } }
+    });
+
+    expect(schema.properties.address).toEqual({
+      type: 'object',
+      properties: { city: { type: 'string' } },
+      required: ['city']
+    });
+    expect(lossy).toEqual([]);
+  });
+
+  test('cuts off a recursive $ref through properties', () => {
+    const { schema, lossy } = transpileSchema({
+      $ref: '#/$defs/Node',
+      $defs: { Node: { type: 'object', properties: { next: { $ref: '#/$defs/Node' } } } }
+    });
+
+    expect(schema.properties.next).toMatchObject({ type: 'object', description: '(recursive #/$defs/Node)' });
+    expect(recursiveRefs(lossy)).toHaveLength(1);
+  });
+
+  test('cuts off a recursive $ref through anyOf', () => {
+    const { schema, lossy } = transpileSchema({
+      type: 'object',
+      properties: { root: { anyOf: [{ $ref: '#/$defs/Tree' }, { type: 'null' }] } },
+      $defs: {
+        Tree: {
+          type: 'object',
+          properties: {
+            value: { type: 'string' },
+            left: { anyOf: [{ $ref: '#/$defs/Tree' }, { type: 'null' }] },
+            right: { anyOf: [{ $ref: '#/$defs/Tree' }, { type: 'null' }] }
+          }
+        }
+      }
+    });
+
+    expect(schema.properties.root.nullable).toBe(true);
+    expect(schema.properties.root.properties.value).toEqual({ type: 'string' });
+    expect(schema.properties.root.properties.left).toMatchObject({ type: 'object', nullable: true });
+    expect(depth(schema)).toBeLessThan(5);
+    expect(recursiveRefs(lossy)).toHaveLength(2);
+  });
+
+  test('cuts off a recursive $ref through oneOf', () => {
+    const { schema, lossy } = transpileSchema({
+      oneOf: [{ $ref: '#/$defs/List' }, { type: 'null' }],
+      $defs: {
+        List: {
+          type: 'object',
+          properties: { head: { type: 'number' }, tail: { oneOf: [{ $ref: '#/$defs/List' }, { type: 'null' }] } }
+        }
+      }
+    });
+
+    expect(schema.properties.head).toEqual({ type: 'number' });
+    expect(schema.properties.tail).toMatchObject({ type: 'object', nullable: true });
+    expect(recursiveRefs(lossy)).toHaveLength(1);
+  });
+
+  test('cuts off a recursive $ref through allOf', () => {
+    const { schema, lossy } = transpileSchema({
+      allOf: [{ $ref: '#/$defs/Category' }],
+      $defs: {
+        Category: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            parent: { allOf: [{ $ref: '#/$defs/Category' }], description: 'Parent category' }
+          },
+          required: ['name']
+        }
+      }
+    });
+
+    expect(schema.required).toEqual(['name']);
+    expect(schema.properties.parent).toMatchObject({ type: 'object' });
+    expect(schema.properties.parent.description).toMatch(/recursive #\/\$defs\/Category/);
+    expect(recursiveRefs(lossy)).toHaveLength(1);
+  });
+
+  test('cuts off mutual recursion between definitions', () => {
+    const { schema, lossy } = transpileSchema({
+      $ref: '#/$defs/A',
+      $defs: {
+        A: { type: 'object', properties: { b: { anyOf: [{ $ref: '#/$defs/B' }, { type: 'null' }] } } },
+        B: { type: 'object', properties: { a: { allOf: [{ $ref: '#/$defs/A' }] } } }
+      }
+    });
+
+    expect(schema.properties.b.properties.a).toMatchObject({ type: 'object' });
+    expect(depth(schema)).toBeLessThan(5);
+    expect(recursiveRefs(lossy)).toHaveLength(1);
+  });
+
+  test('collapses [X, null] unions and type arrays to nullable', () => {
+    const { schema } = transpileSchema({
+      type: 'object',
+      properties: {
+        a: { anyOf: [{ type: 'string' }, { type: 'null' }] },
+        b: { type: ['integer', 'null'] }
+      }
+    });
+
+    expect(schema.properties.a).toEqual({ type: 'string', nullable: true });
+    expect(schema.properties.b).toEqual({ type: 'integer', nullable: true });
+  });
+
+  test('turns a string const into a single-value enum', () => {
+    const { schema, lossy } = transpileSchema({
+      type: 'object',
+      properties: { kind: { const: 'circle' } }
+    });
+
+    expect(schema.properties.kind).toEqual({ type: 'string', enum: ['circle'] });
+    expect(lossy).toEqual([]);
+  });
+
+  test('merges allOf members into one object', () => {
+    const { schema, lossy } = transpileSchema({
+      allOf: [
+        { type: 'object', properties: { id: { type: 'string' } }, required: ['id'], description: 'Entity.' },
+        { properties: { name: { type: 'string' } }, required: ['name', 'id'], description: 'Named.' }
+      ]
+    });
+
+    expect(schema).toEqual({
+      type: 'object',
+      description: 'Entity. Named.',
+      properties: { id: { type: 'string' }, name: { type: 'string' } },
+      required: ['id', 'name']
+    });
+    expect(lossy).toEqual([]);
+  });
+
+  test('moves unsupported constraints into the description', () => {
+    const { schema, lossy } = transpileSchema({
+      type: 'object',
+      properties: {
+        email: { type: 'string', description: 'Contact address', format: 'email', maxLength: 254 },
+        count: { type: 'integer', minimum: 1, default: 10 }
+      }
+    });
+
+    expect(schema.properties.email).toEqual({
+      type: 'string',
+      description: 'Contact address (format: email, maxLength: 254)'
+    });
+    expect(schema.properties.count).toEqual({ type: 'integer', description: '(minimum: 1, default: 10)' });
+    expect(lossy).toEqual([]);
+  });
+
+  test('reports lossy conversions with the path of the node', () => {
+    const { lossy } = transpileSchema({
+      type: 'object',
+      properties: {
+        tags: { type: 'object', additionalProperties: { type: 'string' } },
+        point: { type: 'array', items: [{ type: 'number' }, { type: 'number' }] },
+        items: {
+          type: 'array',
+          items: { type: 'object', properties: { value: { type: ['string', 'number'] } }, not: { required: ['x'] } }
+        },
+        strict: { type: 'object', additionalProperties: false }
+      }
+    });
+
+    expect(lossy).toEqual([
+      { path: 'tags', keyword: 'additionalProperties', detail: 'keyword not supported by Gemini, removed' },
+      { path: 'point', keyword: 'items', detail: 'tuple items narrowed to the first item schema' },
+      { path: 'items[].value', keyword: 'type', detail: 'multiple types string, number narrowed to string' },
+      { path: 'items[]', keyword: 'not', detail: 'keyword not supported by Gemini, removed' }
+    ]);
+  });
+
+  test('gives non-string enums and consts a type', () => {
+    const { schema, lossy } = transpileSchema({
+      type: 'object',
+      properties: {
+        level: { enum: [1, 2, 3] },
+        ratio: { enum: [0.5, 1] },
+        flag: { enum: [true, false] },
+        version: { const: 2 },
+        typed: { type: 'number', enum: [1, 2] },
+        mixed: { enum: ['auto', 0] }
+      }
+    });
+
+    expect(schema.properties.level).toEqual({ type: 'integer', description: '(allowed values: 1, 2, 3)' });
+    expect(schema.properties.ratio).toEqual({ type: 'number', description: '(allowed values: 0.5, 1)' });
+    expect(schema.properties.flag).toEqual({ type: 'boolean', description: '(allowed values: true, false)' });
+    expect(schema.properties.version).toEqual({ type: 'integer', description: '(must be 2)' });
+    expect(schema.properties.typed).toEqual({ type: 'number', description: '(allowed values: 1, 2)' });
+    expect(schema.properties.mixed).toEqual({ type: 'string', description: '(allowed values: auto, 0)' });
+    expect(lossy.map(entry => `${entry.path}:${entry.keyword}`)).toEqual([
+      'level:enum', 'ratio:enum', 'flag:enum', 'version:const', 'typed:enum', 'mixed:enum'
+    ]);
+  });
+});
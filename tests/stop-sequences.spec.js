@@ -0,0 +1,104 @@
+const { claudeToGeminiRequest, geminiToClaudeResponse, collectGeminiStream } = require('../src/proxy');
+
+// SSE body that hands out one Gemini chunk per read and records cancellation
+function sseBody(chunks) {
+  const encoder = new TextEncoder();
+  const state = { pulled: 0, cancelled: false };
+  const body = new ReadableStream({
+    pull(controller) {
+      if (state.pulled === chunks.length) return controller.close();
+      controller.enqueue(encoder.encode(`data: ${JSON.stringify(chunks[state.pulled++])}\r\n\r\n`));
+    },
+    cancel() {
+      state.cancelled = true;
+    }
+  }, { highWaterMark: 0 });
+  return { body, state };
+}
+
+const textChunk = (text, extra = {}) => ({ candidates: [{ content: { role: 'model', parts: [{ text }] }, ...extra }] });
+
+describe('stop sequences', () => {
+  let logSpy;
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  test('are matched by the proxy instead of being forwarded to Gemini', () => {
+    const geminiRequest = claudeToGeminiRequest({
+      model: 'gemini-2.5-flash',
+      max_tokens: 100,
+      stop_sequences: ['END'],
+      messages: [{ role: 'user', content: 'Hi' }]
+    });
+
+    expect(geminiRequest.generationConfig.stopSequences).toBeUndefined();
+  });
+
+  test('cut non-streaming text at the earliest match', () => {
+    const message = geminiToClaudeResponse({
+      candidates: [{
+        content: { role: 'model', parts: [{ text: 'one STOP two END three' }] },
+        finishReason: 'STOP'
+      }]
+    }, 'claude-test', 'msg_test', { stopSequences: ['END', 'STOP'] });
+
+    expect(message.content).toEqual([{ type: 'text', text: 'one ', citations: null }]);
+    expect(message.stop_reason).toBe('stop_sequence');
+    expect(message.stop_sequence).toBe('STOP');
+  });
+
+  test('leave stop_reason alone when no sequence matched', () => {
+    const message = geminiToClaudeResponse({
+      candidates: [{
+        content: { role: 'model', parts: [{ text: 'plain answer' }] },
+        finishReason: 'STOP'
+      }]
+    }, 'claude-test', 'msg_test', { stopSequences: ['END'] });
+
+    expect(message.stop_reason).toBe('end_turn');
+    expect(message.stop_sequence).toBeNull();
+  });
+
+  test('non-streaming responses are read as a stream and cancelled at the first match', async () => {
+    const { body, state } = sseBody([
+      { ...textChunk('one two E'), usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 3 } },
+      { ...textChunk('ND three'), usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 6 } },
+      textChunk(' four five six', { finishReason: 'MAX_TOKENS' })
+    ]);
+
+    const response = await collectGeminiStream(body, ['END']);
+
+    expect(state.pulled).toBe(2);
+    expect(state.cancelled).toBe(true);
+    expect(response.candidates[0].content.parts).toEqual([{ text: 'one two END three' }]);
+    expect(response.usageMetadata.candidatesTokenCount).toBe(6);
+
+    const message = geminiToClaudeResponse(response, 'claude-test', 'msg_test', { stopSequences: ['END'] });
+    expect(message.content).toEqual([{ type: 'text', text: 'one two ', citations: null }]);
+    expect(message.stop_reason).toBe('stop_sequence');
+    expect(message.usage.output_tokens).toBe(6);
+  });
+
+  test('streams without a match are read to the end and merged into one response', async () => {
+    const { body, state } = sseBody([
+      { candidates: [{ content: { role: 'model', parts: [{ text: 'Thinking', thought: true }] } }] },
+      { candidates: [{ content: { role: 'model', parts: [{ text: 'Hello', thoughtSignature: 'SIG' }] } }] },
+      textChunk(', world', { finishReason: 'STOP' })
+    ]);
+
+    const response = await collectGeminiStream(body, ['END']);
+
+    expect(state.cancelled).toBe(false);
+    expect(response.candidates).toEqual([{
+      content: {
+        role: 'model',
+        parts: [{ text: 'Thinking', thought: true }, { text: 'Hello, world', thoughtSignature: 'SIG' }]
+      },
+      finishReason: 'STOP'
+    }]);
+  });
+});
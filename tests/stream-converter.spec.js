@@ -0,0 +1,186 @@
+const { ClaudeStreamConverter } = require('../src/proxy');
+
+// Delta types allowed in each kind of content block
+const BLOCK_DELTAS = {
+  text: ['text_delta'],
+  thinking: ['thinking_delta', 'signature_delta'],
+  tool_use: ['input_json_delta'],
+  mcp_tool_use: ['input_json_delta'],
+  mcp_tool_result: []
+};
+
+/**
+ * Check a Claude event sequence against the Anthropic streaming grammar:
+ * message_start, then per block content_block_start, deltas and
+ * content_block_stop with consecutive indexes, then message_delta and
+ * message_stop. Thinking blocks end with exactly one signature_delta.
+ */
+function expectValidStream(events) {
+  for (const { event, data } of events) {
+    expect(data.type).toBe(event);
+  }
+
+  const types = events.map(e => e.event).filter(type => type !== 'ping');
+  expect(types[0]).toBe('message_start');
+  expect(types.slice(-2)).toEqual(['message_delta', 'message_stop']);
+
+  let open = null;
+  let nextIndex = 0;
+  for (const { event, data } of events.slice(1, -2)) {
+    if (event === 'ping') continue;
+
+    if (event === 'content_block_start') {
+      expect(open).toBeNull();
+      expect(data.index).toBe(nextIndex++);
+      open = { index: data.index, type: data.content_block.type, deltas: [] };
+    } else if (event === 'content_block_delta') {
+      expect(open).not.toBeNull();
+      expect(data.index).toBe(open.index);
+      expect(BLOCK_DELTAS[open.type]).toContain(data.delta.type);
+      open.deltas.push(data.delta.type);
+    } else if (event === 'content_block_stop') {
+      expect(open).not.toBeNull();
+      expect(data.index).toBe(open.index);
+      if (open.type === 'thinking') {
+        expect(open.deltas.filter(type => type === 'signature_delta')).toHaveLength(1);
+        expect(open.deltas[open.deltas.length - 1]).toBe('signature_delta');
+      }
+      open = null;
+    } else {
+      throw new Error(`Unexpected event inside the message: ${event}`);
+    }
+  }
+  expect(open).toBeNull();
+}
+
+// Run Gemini chunks through a converter and collect every Claude event
+function convert(chunks, options = {}) {
+  const converter = new ClaudeStreamConverter('claude-test', 'msg_test', options);
+  const events = [];
+  for (const chunk of chunks) {
+    events.push(...converter.convertChunk(chunk));
+  }
+  events.push(...converter.finalize());
+  return events;
+}
+
+function chunk(parts, finishReason) {
+  return { candidates: [{ content: { role: 'model', parts }, ...(finishReason && { finishReason }) }] };
+}
+
+const blockTypes = events => events
+  .filter(e => e.event === 'content_block_start')
+  .map(e => e.data.content_block.type);
+
+const textOf = events => events
+  .filter(e => e.data.delta?.type === 'text_delta')
+  .map(e => e.data.delta.text)
+  .join('');
+
+const messageDelta = events => events.find(e => e.event === 'message_delta').data;
+
+describe('ClaudeStreamConverter', () => {
+  let logSpy;
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  test('text stream shares one text block across chunks', () => {
+    const events = convert([
+      chunk([{ text: 'Hello' }]),
+      chunk([{ text: ', world' }], 'STOP')
+    ]);
+
+    expectValidStream(events);
+    expect(blockTypes(events)).toEqual(['text']);
+    expect(textOf(events)).toBe('Hello, world');
+    expect(messageDelta(events).delta).toEqual({ stop_reason: 'end_turn', stop_sequence: null });
+  });
+
+  test('thinking block gets its signature from the part that follows it', () => {
+    const events = convert([
+      chunk([{ text: 'Let me think', thought: true }]),
+      chunk([{ text: 'Answer', thoughtSignature: 'SIG' }], 'STOP')
+    ]);
+
+    expectValidStream(events);
+    expect(blockTypes(events)).toEqual(['thinking', 'text']);
+    const signature = events.find(e => e.data.delta?.type === 'signature_delta');
+    expect(signature.data.index).toBe(0);
+    expect(signature.data.delta.signature).toBe('SIG');
+  });
+
+  test('tool_use stream emits the arguments as one input_json_delta', () => {
+    const events = convert([
+      chunk([{ functionCall: { name: 'get_weather', args: { city: 'Paris' } } }], 'STOP')
+    ]);
+
+    expectValidStream(events);
+    expect(blockTypes(events)).toEqual(['tool_use']);
+    const start = events.find(e => e.event === 'content_block_start').data.content_block;
+    expect(start).toMatchObject({ name: 'get_weather', input: {} });
+    expect(start.id).toMatch(/^toolu_/);
+    const json = events.find(e => e.data.delta?.type === 'input_json_delta').data.delta.partial_json;
+    expect(JSON.parse(json)).toEqual({ city: 'Paris' });
+    expect(messageDelta(events).delta.stop_reason).toBe('tool_use');
+  });
+
+  test('mixed stream closes each block before opening the next', () => {
+    const events = convert([
+      chunk([{ text: 'Planning', thought: true }]),
+      chunk([{ text: 'Checking both cities.', thoughtSignature: 'SIG' }]),
+      chunk([
+        { functionCall: { name: 'get_weather', args: { city: 'Paris' } } },
+        { functionCall: { name: 'get_weather', args: { city: 'Rome' } } }
+      ]),
+      chunk([{ text: '' }], 'STOP')
+    ]);
+
+    expectValidStream(events);
+    expect(blockTypes(events)).toEqual(['thinking', 'text', 'tool_use', 'tool_use']);
+    expect(messageDelta(events).delta.stop_reason).toBe('tool_use');
+  });
+
+  test('usage is reported in message_start and message_delta', () => {
+    const events = convert([
+      chunk([{ text: 'Hi' }]),
+      { ...chunk([], 'STOP'), usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 3, thoughtsTokenCount: 2 } }
+    ]);
+
+    expectValidStream(events);
+    expect(messageDelta(events).usage).toMatchObject({ input_tokens: 12, output_tokens: 5 });
+  });
+
+  test('stop sequence split across chunks cuts the text', () => {
+    const events = convert([
+      chunk([{ text: 'one two E' }]),
+      chunk([{ text: 'ND three' }], 'STOP')
+    ], { stopSequences: ['END'] });
+
+    expectValidStream(events);
+    expect(textOf(events)).toBe('one two ');
+    expect(messageDelta(events).delta).toEqual({ stop_reason: 'stop_sequence', stop_sequence: 'END' });
+  });
+
+  test('held back text is released when no stop sequence completes it', () => {
+    const events = convert([
+      chunk([{ text: 'almost E' }]),
+      chunk([{ text: 'N' }], 'STOP')
+    ], { stopSequences: ['END'] });
+
+    expectValidStream(events);
+    expect(textOf(events)).toBe('almost EN');
+    expect(messageDelta(events).delta).toEqual({ stop_reason: 'end_turn', stop_sequence: null });
+  });
+
+  test('stream without candidates still forms a complete message', () => {
+    const events = convert([{ promptFeedback: { blockReason: 'SAFETY' } }]);
+
+    expectValidStream(events);
+    expect(blockTypes(events)).toEqual([]);
+    expect(messageDelta(events).delta.stop_reason).toBe('refusal');
+  });
+});
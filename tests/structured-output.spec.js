@@ -0,0 +1,52 @@
+const { claudeToGeminiRequest } = require('../src/proxy');
+
+function convert(responseFormat) {
+  return claudeToGeminiRequest({
+    model: 'gemini-2.5-flash',
+    max_tokens: 100,
+    response_format: responseFormat,
+    messages: [{ role: 'user', content: 'Hi' }]
+  });
+}
+
+describe('response_format', () => {
+  let logSpy;
+  let warnSpy;
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    logSpy.mockRestore();
+    warnSpy.mockRestore();
+  });
+
+  test('json_object with a schema sends the converted schema as responseSchema', () => {
+    const { generationConfig } = convert({
+      type: 'json_object',
+      schema: { type: 'object', properties: { name: { type: ['string', 'null'] } }, $schema: 'http://json-schema.org/draft-07/schema#' }
+    });
+
+    expect(generationConfig.responseMimeType).toBe('application/json');
+    expect(generationConfig.responseJsonSchema).toBeUndefined();
+    expect(generationConfig.responseSchema).not.toHaveProperty('$schema');
+    expect(generationConfig.responseSchema.properties.name).toEqual({ type: 'string', nullable: true });
+    expect(warnSpy).not.toHaveBeenCalledWith(expect.stringContaining('Unsupported response_format'));
+  });
+
+  test('json_schema is accepted like json_object', () => {
+    const { generationConfig } = convert({ type: 'json_schema', schema: { type: 'object' } });
+
+    expect(generationConfig.responseMimeType).toBe('application/json');
+    expect(generationConfig.responseSchema).toEqual({ type: 'object' });
+    expect(warnSpy).not.toHaveBeenCalledWith(expect.stringContaining('Unsupported response_format'));
+  });
+
+  test('json_object without a schema only sets the MIME type', () => {
+    const { generationConfig } = convert({ type: 'json_object' });
+
+    expect(generationConfig.responseMimeType).toBe('application/json');
+    expect(generationConfig.responseSchema).toBeUndefined();
+    expect(generationConfig.responseJsonSchema).toBeUndefined();
+  });
+});
@@ -0,0 +1,104 @@
+const { claudeToGeminiRequest, geminiToClaudeResponse, ClaudeStreamConverter } = require('../src/proxy');
+
+// Fresh copy of the proxy module, as after a restart of the server
+function restartedProxy() {
+  let proxy;
+  jest.isolateModules(() => {
+    proxy = require('../src/proxy');
+  });
+  return proxy;
+}
+
+const geminiResponse = parts => ({
+  candidates: [{ content: { role: 'model', parts }, finishReason: 'STOP' }],
+  usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5 }
+});
+
+// Follow-up request replaying an assistant turn and answering its tool_use blocks
+function followUp(assistantContent) {
+  return {
+    model: 'gemini-3-pro-preview',
+    max_tokens: 100,
+    messages: [
+      { role: 'user', content: 'Weather in Paris and Rome?' },
+      { role: 'assistant', content: assistantContent },
+      {
+        role: 'user',
+        content: assistantContent
+          .filter(block => block.type === 'tool_use')
+          .map(block => ({ type: 'tool_result', tool_use_id: block.id, content: 'Sunny' }))
+      }
+    ]
+  };
+}
+
+describe('thoughtSignature round trip', () => {
+  let logSpy;
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  test('the signature travels in the tool_use id and survives a restart', () => {
+    const message = geminiToClaudeResponse(geminiResponse([
+      { functionCall: { id: 'call-1', name: 'get_weather', args: { city: 'Paris' } }, thoughtSignature: 'SIG/1+==' },
+      { functionCall: { id: 'call-2', name: 'get_weather', args: { city: 'Rome' } } }
+    ]), 'gemini-3-pro-preview', 'msg_1');
+    const [first, second] = message.content;
+    expect(first.id).toMatch(/^toolu_[A-Za-z0-9_-]+$/);
+
+    const request = restartedProxy().claudeToGeminiRequest(followUp(message.content));
+
+    const [, model, results] = request.contents;
+    expect(model.parts).toEqual([
+      { functionCall: { id: 'call-1', name: 'get_weather', args: { city: 'Paris' } }, thoughtSignature: 'SIG/1+==' },
+      { functionCall: { id: 'call-2', name: 'get_weather', args: { city: 'Rome' } } }
+    ]);
+    expect(results.parts.map(part => part.functionResponse.id)).toEqual(['call-1', 'call-2']);
+    expect(second.id).not.toBe(first.id);
+  });
+
+  test('streamed tool_use blocks carry the signature too', () => {
+    const converter = new ClaudeStreamConverter('gemini-3-pro-preview', 'msg_2');
+    const events = [
+      ...converter.convertChunk(geminiResponse([
+        { functionCall: { name: 'get_weather', args: { city: 'Paris' } }, thoughtSignature: 'STREAMSIG' }
+      ])),
+      ...converter.finalize()
+    ];
+    const block = events.find(e => e.event === 'content_block_start').data.content_block;
+
+    const request = restartedProxy().claudeToGeminiRequest(
+      followUp([{ type: 'tool_use', id: block.id, name: block.name, input: { city: 'Paris' } }])
+    );
+
+    expect(request.contents[1].parts).toEqual([
+      { functionCall: { name: 'get_weather', args: { city: 'Paris' } }, thoughtSignature: 'STREAMSIG' }
+    ]);
+    expect(request.contents[2].parts[0].functionResponse.name).toBe('get_weather');
+  });
+
+  test('tool calls without a signature keep their previous ids', () => {
+    const message = geminiToClaudeResponse(geminiResponse([
+      { functionCall: { id: 'call-1', name: 'get_weather', args: {} } }
+    ]), 'gemini-2.5-flash', 'msg_3');
+
+    expect(message.content[0].id).toBe('toolu_gm_' + Buffer.from('call-1').toString('base64url'));
+  });
+
+  test('unsigned calls in the history get the dummy signature on the first call', () => {
+    const request = claudeToGeminiRequest(followUp([
+      { type: 'text', text: 'Checking both.' },
+      { type: 'tool_use', id: 'toolu_from_elsewhere', name: 'get_weather', input: { city: 'Paris' } },
+      { type: 'tool_use', id: 'toolu_from_elsewhere_2', name: 'get_weather', input: { city: 'Rome' } }
+    ]));
+
+    expect(request.contents[1].parts).toEqual([
+      { text: 'Checking both.' },
+      { functionCall: { name: 'get_weather', args: { city: 'Paris' } }, thoughtSignature: 'skip_thought_signature_validator' },
+      { functionCall: { name: 'get_weather', args: { city: 'Rome' } } }
+    ]);
+  });
+});
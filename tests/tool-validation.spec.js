@@ -0,0 +1,214 @@
+const { validateToolArgs, repairFunctionCalls, buildCorrectionRequest } = require('../src/tool-validation');
+
+const weatherSchema = {
+  type: 'object',
+  properties: {
+    city: { type: 'string' },
+    days: { type: 'integer', minimum: 1 },
+    metric: { type: 'boolean' },
+    unit: { type: 'string', enum: ['Celsius', 'Fahrenheit'] }
+  },
+  required: ['city'],
+  additionalProperties: false
+};
+
+const tools = [{ name: 'get_weather', input_schema: weatherSchema }];
+
+const call = (args, id) => ({ functionCall: { name: 'get_weather', args, ...(id && { id }) } });
+
+describe('validateToolArgs', () => {
+  test('leaves a valid call unchanged', () => {
+    const args = { city: 'Paris', days: 3, metric: true, unit: 'Celsius' };
+
+    const result = validateToolArgs(args, weatherSchema);
+
+    expect(result).toEqual({ args, errors: [], repairs: [] });
+    expect(result.args).not.toBe(args);
+  });
+
+  test('coerces numeric and boolean strings', () => {
+    const { args, errors, repairs } = validateToolArgs({ city: 'Paris', days: '3', metric: 'false' }, weatherSchema);
+
+    expect(args).toEqual({ city: 'Paris', days: 3, metric: false });
+    expect(errors).toEqual([]);
+    expect(repairs).toEqual(['$.days: string → integer', '$.metric: string → boolean']);
+  });
+
+  test('does not coerce strings that are not numbers or booleans', () => {
+    const { args, errors } = validateToolArgs({ city: 'Paris', days: 'three', metric: 'yes' }, weatherSchema);
+
+    expect(args).toMatchObject({ days: 'three', metric: 'yes' });
+    expect(errors).toEqual(['$.days: expected integer, got string', '$.metric: expected boolean, got string']);
+  });
+
+  test('repairs enum values that differ only in case', () => {
+    const { args, errors, repairs } = validateToolArgs({ city: 'Paris', unit: 'celsius' }, weatherSchema);
+
+    expect(args.unit).toBe('Celsius');
+    expect(errors).toEqual([]);
+    expect(repairs).toEqual(['$.unit: "celsius" → "Celsius"']);
+  });
+
+  test('reports enum values that match no option', () => {
+    const { errors } = validateToolArgs({ city: 'Paris', unit: 'Kelvin' }, weatherSchema);
+
+    expect(errors).toEqual(['$.unit: must be one of "Celsius", "Fahrenheit"']);
+  });
+
+  test('removes properties not allowed by additionalProperties: false', () => {
+    const { args, errors, repairs } = validateToolArgs({ city: 'Paris', country: 'France' }, weatherSchema);
+
+    expect(args).toEqual({ city: 'Paris' });
+    expect(errors).toEqual([]);
+    expect(repairs).toEqual(['$.country: unknown property removed']);
+  });
+
+  test('keeps extra properties when additionalProperties is not false', () => {
+    const { args, repairs } = validateToolArgs({ city: 'Paris', country: 'France' }, { ...weatherSchema, additionalProperties: undefined });
+
+    expect(args).toEqual({ city: 'Paris', country: 'France' });
+    expect(repairs).toEqual([]);
+  });
+
+  test('accepts the first union alternative that validates, with its repairs', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        limit: { anyOf: [{ type: 'integer' }, { type: 'string', enum: ['all'] }] }
+      }
+    };
+
+    expect(validateToolArgs({ limit: 'ALL' }, schema)).toMatchObject({ args: { limit: 'all' }, errors: [] });
+    expect(validateToolArgs({ limit: '10' }, schema)).toMatchObject({
+      args: { limit: 10 },
+      errors: [],
+      repairs: ['$.limit: string → integer']
+    });
+  });
+
+  test('reports a union no alternative matches', () => {
+    const schema = {
+      type: 'object',
+      properties: { id: { oneOf: [{ type: 'integer' }, { type: 'string', pattern: '^[a-z]+$' }] } }
+    };
+
+    const { args, errors } = validateToolArgs({ id: 'ABC-1' }, schema);
+
+    expect(args.id).toBe('ABC-1');
+    expect(errors).toEqual(['$.id: does not match any allowed alternative']);
+  });
+
+  test('reports missing required properties', () => {
+    expect(validateToolArgs({}, weatherSchema).errors).toEqual(['$.city: required property missing']);
+  });
+});
+
+describe('repairFunctionCalls', () => {
+  beforeEach(() => {
+    ['log', 'warn'].forEach(method => jest.spyOn(console, method).mockImplementation(() => {}));
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('repairs arguments in place and collects invalid calls', () => {
+    const parts = [
+      { text: 'Checking.' },
+      call({ city: 'Paris', days: '2' }, 'call_1'),
+      call({ city: 'Rome' }, 'call_2'),
+      call({ days: 0 }, 'call_3'),
+      { functionCall: { name: 'mcp_search', args: { q: 1 } } }
+    ];
+
+    const result = repairFunctionCalls(parts, tools);
+
+    expect(parts[1].functionCall.args).toEqual({ city: 'Paris', days: 2 });
+    expect(parts[2].functionCall.args).toEqual({ city: 'Rome' });
+    expect(parts[4].functionCall.args).toEqual({ q: 1 });
+    expect(result).toEqual({
+      checked: 3,
+      repaired: 1,
+      invalid: [{ name: 'get_weather', id: 'call_3', errors: ['$.city: required property missing', '$.days: must be >= 1'] }]
+    });
+  });
+
+  test('does nothing without client tools', () => {
+    const parts = [call({ days: '2' })];
+
+    expect(repairFunctionCalls(parts, undefined)).toEqual({ checked: 0, repaired: 0, invalid: [] });
+    expect(parts[0].functionCall.args).toEqual({ days: '2' });
+  });
+});
+
+describe('buildCorrectionRequest', () => {
+  beforeEach(() => {
+    ['log', 'warn'].forEach(method => jest.spyOn(console, method).mockImplementation(() => {}));
+  });
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('replays the model turn and answers every call', () => {
+    const geminiRequest = {
+      contents: [{ role: 'user', parts: [{ text: 'Weather in Paris and Rome?' }] }],
+      tools: [{ functionDeclarations: [{ name: 'get_weather' }] }],
+      generationConfig: { maxOutputTokens: 100 }
+    };
+    const modelContent = {
+      role: 'model',
+      parts: [call({ city: 'Paris' }, 'call_1'), call({ city: 'Rome', unit: 'Kelvin' }, 'call_2')]
+    };
+    const { invalid } = repairFunctionCalls(modelContent.parts, tools);
+
+    const request = buildCorrectionRequest(geminiRequest, modelContent, invalid);
+
+    expect(request.tools).toBe(geminiRequest.tools);
+    expect(request.generationConfig).toBe(geminiRequest.generationConfig);
+    expect(geminiRequest.contents).toHaveLength(1);
+    expect(request.contents).toEqual([
+      geminiRequest.contents[0],
+      { role: 'model', parts: modelContent.parts },
+      {
+        role: 'user',
+        parts: [
+          {
+            functionResponse: {
+              name: 'get_weather',
+              response: { result: 'Not executed. Repeat this call together with the corrected calls.' },
+              id: 'call_1'
+            }
+          },
+          {
+            functionResponse: {
+              name: 'get_weather',
+              response: {
+                error: true,
+                error_message: 'Invalid arguments: $.unit: must be one of "Celsius", "Fahrenheit". ' +
+                  'Call the function again with arguments that satisfy its schema.'
+              },
+              id: 'call_2'
+            }
+          }
+        ]
+      }
+    ]);
+  });
+
+  test('matches calls by name when Gemini returns no ids', () => {
+    const modelContent = { role: 'model', parts: [call({ days: 2 })] };
+    const { invalid } = repairFunctionCalls(modelContent.parts, tools);
+
+    const request = buildCorrectionRequest({ contents: [] }, modelContent, invalid);
+
+    expect(request.contents[1].parts).toEqual([{
+      functionResponse: {
+        name: 'get_weather',
+        response: {
+          error: true,
+          error_message: 'Invalid arguments: $.city: required property missing. ' +
+            'Call the function again with arguments that satisfy its schema.'
+        }
+      }
+    }]);
+  });
+});